@@ -10,12 +10,52 @@ async function main() {
 
   const titleEl = d3.select("#chart-title");       // chart title element (updates per scene)
   const subtitleEl = d3.select("#chart-subtitle"); // chart subtitle element (updates per scene)
+  const monthEl = d3.select("#chart-month");       // month stamp beside the subtitle (time scrubber)
   const tooltip = d3.select(".tooltip");           // shared tooltip for hover interactions
 
-  // chart dimensions and margins (matches the SVG viewBox in index.html)
-  const width  = 1000;
-  const height = 720;
-  const margin = { top: 60, right: 220, bottom: 120, left: 80 };
+  // chart geometry
+  // the viewBox is sized to the pixels the svg gets on screen, so text keeps
+  // its CSS size and the layout adapts instead of shrinking. below
+  // COMPACT_WIDTH the "compact" layout drops the right rail: the legend moves
+  // under the plot and bars get a narrower, wrapped label column.
+  //   rail           : legend + horizontal crosshair note in a right-hand rail
+  //   barLabelWidth  : left column for fear-category labels (bars)
+  //   barLabelSize   : font size of those labels
+  //   zoomRadius     : radius of the zoomed genre bubble
+  //   zoomLabelSize  : font size of the big centered label on it
+  const LAYOUTS = {
+    wide: {
+      margin: { top: 60, right: 220, bottom: 120, left: 80 },
+      rail: true, barLabelWidth: 280, barLabelSize: 15, zoomRadius: 200, zoomLabelSize: 60,
+      radius: [5, 50]
+    },
+    compact: {
+      margin: { top: 36, right: 16, bottom: 140, left: 62 },
+      rail: false, barLabelWidth: 130, barLabelSize: 11, zoomRadius: 110, zoomLabelSize: 34,
+      radius: [3, 24]
+    }
+  };
+  const COMPACT_WIDTH = 640;
+
+  let layout = LAYOUTS.wide;
+  let margin = layout.margin;
+  let width  = 1000;
+  let height = 720;
+
+  // read the svg's on-screen width and derive the layout + height from it
+  // (a compact chart is capped so the pinned chart leaves room for the cards)
+  function measureChart() {
+    const measured = Math.round(svg.node().getBoundingClientRect().width);
+    width = measured > 0 ? measured : 1000;  // not laid out yet: desktop size
+    layout = width < COMPACT_WIDTH ? LAYOUTS.compact : LAYOUTS.wide;
+    margin = layout.margin;
+    height = layout.rail
+      ? Math.round(width * 0.72)
+      : Math.round(Math.max(320, Math.min(width * 1.1, window.innerHeight * 0.55)));
+    svg.attr("viewBox", `0 0 ${width} ${height}`).classed("compact", !layout.rail);
+  }
+
+  measureChart();
 
   // fine-note helpers
   // the fine-note explains that movies can have multiple genres (total > unique titles)
@@ -24,156 +64,360 @@ async function main() {
   const hideFineNote = () => d3.select(".fine-note").classed("note-hidden", true);
 
   // global state variables track visualization mode and data
-  let mode = "none";            // current viz mode: "scatter" | "bars" | "none"
+  let mode = "none";            // current viz mode: "scatter" | "bars" | "heatmap" | "fears" | "titles" | "none"
   let fearRows = null;          // lazy-loaded CSV data for bar charts
   let quadrantsAdded = false;   // flag: have quadrant overlays been added to scatter?
   let isHorrorFocused = false;  // flag: is horror genre currently focused (others dimmed)?
+  let isHorrorZoomed = false;   // flag: is the scatter currently zoomed into horror?
+  let quadrantFocus = "none";   // last quadrant passed to focusQuadrant()
+  let drillGenre = null;        // genre shown title-by-title (drill-down), null otherwise
+  let drillReturn = null;       // title/subtitle/zoom state to restore when leaving the drill-down
+  let searchPick = null;        // movie picked in the title search (highlighted across redraws)
+  let timeMonth = null;         // "yyyy-mm" the time scrubber counts up to, null = whole snapshot
+  let barsTable = null;         // { name, rows } behind the bar chart on screen (for downloads)
+  let heatmapTable = null;      // { name, rows } behind the fear × quadrant heatmap (for downloads)
+
+  // mode helper
+  // mirrors the viz mode onto the figure so CSS can show only the controls
+  // that apply to it (.scatter-only / .bars-only)
+  const figureEl = document.querySelector(".graphic");
+  function setMode(next) {
+    mode = next;
+    if (figureEl) figureEl.dataset.mode = next;
+    if (next !== "titles") drillGenre = null;  // leaving the drill-down forgets its genre
+    if (next !== "scatter") stopTimePlayback();
+    updateMonthStamp();
+  }
 
-  // fear categories list
-  const FEAR_CATEGORY_NAMES = [
-  "Invasion, Impostors & Paranoia",
-  "Persecution & Social Breakdown",
-  "Institutional & Structural Control",
-  "Possession & Loss of Agency",
-  "Captivity & Voyeuristic Sadism",
-  "Contagion & Mutation",
-  "Body Horror / Envelope Violation",  // data name (in CSV)
-  "Ecological / Natural Menace",
-  "Isolation & Psychological Unraveling",
-  "Grief & Familial Trauma",
-  "Transgression & Moral Punishment"
-];
-
+  // fear taxonomy
+  // categories, display names, descriptions and supergroups all come from
+  // taxonomy.js (shared with the keyword engine in text.js)
+  const FEAR_CATEGORY_NAMES = fearTaxonomy.categoryNames;
   const FEAR_SET = new Set(FEAR_CATEGORY_NAMES);
 
-  // display name mapping
-  // map data names to shorter display names for frontend
-  const getDisplayName = (categoryName) => {
-    if (categoryName === "Body Horror / Envelope Violation") {
-      return "Body Horror";
+  // display name mapping: data names → shorter display names for frontend
+  const getDisplayName = fearTaxonomy.displayName;
+
+  // supergroups of fear categories: category name → supergroup name
+  const FEAR_GROUP_MAP = fearTaxonomy.groupMap;
+
+  /* --------------------------- scatter metrics ---------------------------- */
+  // metrics the Hit Matrix axes can switch between. each key is also the field
+  // name on the exploded (movie, genre) rows. `zero` anchors the axis at 0
+  // (additive metrics); otherwise the axis fits the data extent (scores).
+  // formats: `tick` for axis ticks, `value` for tooltips, `brief` for the
+  // quadrant annotations. `zoomPad` is the half-width of the window
+  // zoomToHorror() opens around a value on that axis.
+  const formatSI = d => d3.format(".2s")(d).replace('G','B');
+
+  const SCATTER_METRICS = {
+    views: {
+      label: "Views", short: "Views", zero: true, additive: true,
+      tick: formatSI, value: d3.format(",.0f"), brief: formatSI,
+      zoomPad: v => v * 0.8
+    },
+    hours: {
+      label: "Hours Viewed", short: "Hours", zero: true, additive: true,
+      tick: formatSI, value: d3.format(",.0f"), brief: formatSI,
+      zoomPad: v => v * 0.8
+    },
+    hours_per_view: {
+      label: "Hours per View", short: "Hrs/View", zero: true, additive: false,
+      tick: d => d.toFixed(1), value: d => d.toFixed(2), brief: d => d.toFixed(2),
+      zoomPad: v => v * 0.8
+    },
+    rating: {
+      label: "IMDB Rating", short: "Rating", zero: false, additive: false,
+      tick: d => d.toFixed(1), value: d => d.toFixed(2), brief: d => d.toFixed(2),
+      zoomPad: () => 1.5
+    },
+    metascore: {
+      label: "Metascore", short: "Metascore", zero: false, additive: false,
+      tick: d => d.toFixed(0), value: d => d.toFixed(1), brief: d => d.toFixed(1),
+      zoomPad: () => 15
+    },
+    rotten: {
+      label: "Rotten Tomatoes Score", short: "RT", zero: false, additive: false,
+      tick: d => `${d.toFixed(0)}%`, value: d => `${d.toFixed(1)}%`, brief: d => `${d.toFixed(1)}%`,
+      zoomPad: () => 20
     }
-    return categoryName;
   };
 
-  // fear category descriptions for tooltips
-  const FEAR_CATEGORY_DESCRIPTIONS = {
-    "Invasion, Impostors & Paranoia":
-      "Fear of being replaced, infiltrated, or observed by hidden others — doubles, aliens, or unseen conspirators disrupting normal life.",
-
-    "Persecution & Social Breakdown":
-      "Fear of mob violence, cult domination, or the collapse of moral order — when collective madness replaces reason and safety.",
-
-    "Institutional & Structural Control":
-      "Fear of domination by organized systems — governments, corporations, cults, or algorithms that erase autonomy and identity.",
+  // how titles are combined into one value per genre
+  // "sum" only makes sense for additive metrics (views, hours)
+  const AGGREGATIONS = {
+    sum    : { label: "Total",   fn: d3.sum },
+    mean   : { label: "Average", fn: d3.mean },
+    median : { label: "Median",  fn: d3.median }
+  };
 
-    "Possession & Loss of Agency":
-      "Fear of losing control of one's mind or body to supernatural or psychological forces — demonic, psychic, or manipulative influence.",
+  // current axis selection (defaults reproduce the original Hit Matrix)
+  const scatterMetrics = {
+    x: { metric: "rating", agg: "mean" },
+    y: { metric: "views",  agg: "sum"  }
+  };
 
-    "Captivity & Voyeuristic Sadism":
-      "Fear of imprisonment, coercion, and deliberate human cruelty — torture or sadistic games that turn pain into spectacle.",
+  // accessors for the aggregated value on each axis
+  const xVal = d => d.x_value;
+  const yVal = d => d.y_value;
+
+  // where the quadrant crosshairs sit, computed over the plotted genres
+  // "weighted" weighs each genre by its total views, so big genres pull harder
+  // (`noun` is how screen-reader summaries name the split: "above average")
+  const QUADRANT_SPLITS = {
+    mean     : { label: "Mean",                short: "Avg.",      noun: "average",
+                 fn: (data, acc) => d3.mean(data, acc) },
+    median   : { label: "Median",              short: "Median",    noun: "median",
+                 fn: (data, acc) => d3.median(data, acc) },
+    weighted : { label: "Views-weighted mean", short: "Wtd. avg.", noun: "weighted average",
+                 fn: (data, acc) => d3.sum(data, d => acc(d) * d.total_views) / d3.sum(data, d => d.total_views) }
+  };
 
-    "Contagion & Mutation":
-      "Fear of infection or involuntary biological transformation — viruses, parasites, or spreading contamination altering the body.",
+  let quadrantSplitRule = "mean";  // key of QUADRANT_SPLITS
+  let minGenreCount = 5;           // titles a genre needs to be plotted
 
-    "Body Horror":
-      "Fear of bodily invasion, forced metamorphosis, or dismemberment — the body manipulated or remade beyond recognition.",
+  // smallest bubble color's legend label: starts at the minimum genre size
+  const smallestCountLabel = () => minGenreCount < 50 ? `${minGenreCount} - 50` : "50";
 
-    "Ecological / Natural Menace":
-      "Fear of nature turning hostile — animals, weather, or landscapes striking back against human control and exploitation.",
+  // y scale types the reader can switch between. totals span orders of
+  // magnitude, so log/sqrt spread out the genres a linear axis squeezes
+  // into the bottom of the chart.
+  const Y_SCALES = {
+    linear : { label: "Linear",      make: d3.scaleLinear },
+    log    : { label: "Log",         make: d3.scaleLog },
+    sqrt   : { label: "Square root", make: d3.scaleSqrt }
+  };
 
-    "Isolation & Psychological Unraveling":
-      "Fear that solitude itself becomes the menace — prolonged isolation leading to paranoia, madness, and collapse of meaning.",
+  let yScaleType = "linear";  // key of Y_SCALES
 
-    "Grief & Familial Trauma":
-      "Fear rooted in loss, inheritance, or haunted familial bonds — when family, grief, or lineage becomes the source of horror.",
+  // crosshair positions for the current rule: { x, y } in data units
+  const quadrantSplit = () => ({
+    x: QUADRANT_SPLITS[quadrantSplitRule].fn(genreData, xVal),
+    y: QUADRANT_SPLITS[quadrantSplitRule].fn(genreData, yVal)
+  });
 
-    "Transgression & Moral Punishment":
-      "Fear of violating sacred or moral boundaries and suffering retribution — curses, pacts, or divine punishment for human sin."
+  // "Avg. Rating: 6.4", "Median Views: 12.3M", ...
+  const quadrantNote = (axis, value) => {
+    const def = SCATTER_METRICS[scatterMetrics[axis].metric];
+    return `${QUADRANT_SPLITS[quadrantSplitRule].short} ${def.short}: ${def.brief(value)}`;
   };
 
-  // supergroups of fear categories
-  // groups the 11 categories into 4 thematic families
-const FEAR_GROUP_MAP = new Map([
-  // Societal & Structural Horrors
-  ["Invasion, Impostors & Paranoia", "Societal & Structural Horrors"],
-  ["Persecution & Social Breakdown", "Societal & Structural Horrors"],
-  ["Institutional & Structural Control", "Societal & Structural Horrors"],
+  // mode values: "scatter" | "bars" | "titles" (genre drill-down) | "none"
 
-  // Physical Horrors
-  ["Captivity & Voyeuristic Sadism", "The Body as Battleground"],
-  ["Contagion & Mutation", "The Body as Battleground"],
-  ["Body Horror / Envelope Violation", "The Body as Battleground"],
+  // "Average IMDB Rating", "Total Views", "Median Metascore", ...
+  const axisLabel = axis => {
+    const { metric, agg } = scatterMetrics[axis];
+    return `${AGGREGATIONS[agg].label} ${SCATTER_METRICS[metric].label}`;
+  };
 
-  // Psychological & Internal Horrors
-  ["Possession & Loss of Agency", "Psychological & Domestic Horrors"],
-  ["Isolation & Psychological Unraveling", "Psychological & Domestic Horrors"],
-  ["Grief & Familial Trauma", "Psychological & Domestic Horrors"],
+  // pull one source's score out of the OMDb_Ratings column, which is a
+  // python-style list: "[{'Source': 'Rotten Tomatoes', 'Value': '26%'}, ...]"
+  function parseRatingSource(raw, source) {
+    if (!raw) return null;
+    const match = raw.match(new RegExp(`'Source':\\s*'${source}',\\s*'Value':\\s*'([\\d.]+)`));
+    return match ? +match[1] : null;
+  }
 
-  // Cosmic & Moral Reckonings
-  ["Ecological / Natural Menace", "Cosmic & Moral Reckonings"],
-  ["Transgression & Moral Punishment", "Cosmic & Moral Reckonings"]
-]);
+  // "4,100,000" → 4100000; blanks and "N/A" → null (shared with posters.js)
+  const toNumber = dataLayer.toNumber;
+
+  /* ---------------------------- data panel ------------------------------ */
+  // in-chart panel listing load errors and skipped rows (see data.js).
+  // each chart family keeps its own issues; the panel shows the current mode's.
+  const dataPanelEl = document.querySelector(".data-panel");
+  const dataIssues = { scatter: [], bars: [], heatmap: [], fears: [], compare: [], posters: [] };
+
+  // extra: transient issues that belong to the current draw only
+  // (the compared report's issues show alongside the scatter's own; the
+  // poster cache's, which every chart's tooltips use, alongside any mode's)
+  function updateDataPanel(extra = []) {
+    const compare = mode === "scatter" ? dataIssues.compare : [];
+    dataLayer.renderDataPanel(dataPanelEl, [...(dataIssues[mode] || []), ...compare, ...dataIssues.posters, ...extra]);
+  }
 
+  // a missing poster cache only costs the offline copies: a warning
+  posters.ready.then(report => {
+    const issue = dataLayer.loadIssue(report);
+    dataIssues.posters = issue ? [{ ...issue, level: "warning" }] : [];
+    if (issue) updateDataPanel();
+  });
 
   // data load + prep
   // load the main Netflix + OMDb merged dataset and prepare for visualization
   // raw data has one row per movie, with genres as comma-separated strings
   // explode multi-genre movies so each genre gets its own row, then aggregate
-  const movies = await d3.csv("./netflix_omdb_master.csv");
+  // (a missing file or column leaves movies empty and is reported in the panel)
+  const masterData = await dataLayer.loadDataset("master");
+  const movies = masterData.rows;
+
+  // skip rows with missing data, and rows whose numbers don't parse
+  // dropped rows are counted per reason and reported in the data panel
+  // (same checks for every engagement report, see report comparison below)
+  const MOVIE_CHECKS = [
+    {
+      reason: "missing genre, views or rating",
+      invalid: m => !m.OMDb_Genre || !m.Views || !m.OMDb_imdbRating
+    },
+    {
+      reason: "with non-numeric views or rating",
+      invalid: m => toNumber(m.Views) == null || toNumber(m.OMDb_imdbRating) == null
+    }
+  ];
+
+  const movieRows = dataLayer.filterRows(movies, MOVIE_CHECKS);
+
+  dataIssues.scatter = [
+    dataLayer.loadIssue(masterData.report),
+    dataLayer.droppedIssue("Hit Matrix", movieRows)
+  ].filter(Boolean);
 
   // explode multi-genre rows into individual (movie, genre) pairs
   // example: "Horror, Thriller, Mystery" becomes 3 rows
   // lets us count genres independently (noted in chart's fine print)
-  const exploded = [];
-  movies.forEach(m => {
-    // skip rows with missing data
-    if (!m.OMDb_Genre || !m.Views || !m.OMDb_imdbRating) return;
-    
-    // split comma-separated genre string into individual genres
-    m.OMDb_Genre.split(", ").forEach(g => {
-      exploded.push({
-        genre  : g.trim(),                                  // clean whitespace
-        views  : +String(m.Views).replace(/,/g, ""),        // parse views as number
-        rating : +m.OMDb_imdbRating                         // parse rating as number
+  // rerun by the filter panel on the filtered movie rows
+  function explodeMovies(rows) {
+    const exploded = [];
+    rows.forEach(m => {
+      const views = toNumber(m.Views);
+      const hours = toNumber(m["Hours Viewed"]);
+      const year  = toNumber(m.OMDb_Year);
+
+      // metascore: prefer the dedicated column, fall back to the Metacritic entry
+      const metascore = toNumber(m.OMDb_Metascore) ?? parseRatingSource(m.OMDb_Ratings, "Metacritic");
+
+      // split comma-separated genre string into individual genres
+      m.OMDb_Genre.split(", ").forEach(g => {
+        exploded.push({
+          genre          : g.trim(),                          // clean whitespace
+          views          : views,                             // parse views as number
+          rating         : +m.OMDb_imdbRating,                // parse rating as number
+          hours          : hours,                             // total hours viewed
+          hours_per_view : (hours != null && views) ? hours / views : null,
+          metascore      : metascore,                         // 0-100, often missing
+          rotten         : parseRatingSource(m.OMDb_Ratings, "Rotten Tomatoes"),  // 0-100 (%)
+
+          // title-level details (genre drill-down tooltips)
+          title          : m.EnglishTitle || m.Title,
+          year           : year != null ? Math.round(year) : null,
+          imdbID         : m.OMDb_imdbID,
+          poster         : m.OMDb_Poster && m.OMDb_Poster !== "N/A" ? m.OMDb_Poster : null
+        });
       });
     });
-  });
+    return exploded;
+  }
 
-  // aggregate by genre: count movies, average rating, sum views
-  // d3.rollup groups by genre and reduces each group to summary stats
-  const rolled = d3.rollup(
-    exploded,
-    v => ({
-      count       : v.length,                   // number of movies in this genre
-      avg_imdb    : d3.mean(v, d => d.rating),  // average IMDB rating
-      total_views : d3.sum(v,  d => d.views),   // total views across all movies
-    }),
-    d => d.genre
-  );
-
-  // convert from Map to array, filter out rare genres (< 5 movies)
-  // gives clean list for scatterplot, removing statistical noise
-  const genreData = Array.from(rolled, ([genre, values]) => ({ genre, ...values }))
-                         .filter(d => d.count >= 5);
+  let exploded = explodeMovies(movieRows.kept);
+
+  // aggregate by genre: count movies, average rating, sum views, plus the
+  // values for the currently selected axis metrics (x_value / y_value).
+  // d3 mean/median/sum skip nulls, so titles missing a score are ignored.
+  function aggregateGenres(rows) {
+    const aggregate = (v, { metric, agg }) => AGGREGATIONS[agg].fn(v, d => d[metric]);
+
+    // d3.rollup groups by genre and reduces each group to summary stats
+    const rolled = d3.rollup(
+      rows,
+      v => ({
+        count       : v.length,                   // number of movies in this genre
+        avg_imdb    : d3.mean(v, d => d.rating),  // average IMDB rating
+        total_views : d3.sum(v,  d => d.views),   // total views across all movies
+        x_value     : aggregate(v, scatterMetrics.x),
+        y_value     : aggregate(v, scatterMetrics.y)
+      }),
+      d => d.genre
+    );
+
+    // convert from Map to array, filter out rare genres (< minGenreCount movies)
+    // and genres with no data for the chosen metrics (e.g. no Metascores)
+    // gives clean list for scatterplot, removing statistical noise
+    return Array.from(rolled, ([genre, values]) => ({ genre, ...values }))
+                .filter(d => d.count >= minGenreCount && d.x_value != null && d.y_value != null)
+                .filter(d => yScaleType !== "log" || d.y_value > 0);  // log axis can't place 0
+  }
+
+  let genreData = aggregateGenres(exploded);
+
+  /* --------------------------- report comparison --------------------------- */
+  // Netflix publishes an engagement report every half-year. the matrix plots
+  // the current report; a second one can be loaded alongside it, drawing each
+  // genre's position in that report as a ghost bubble with a trail to where
+  // it sits now. both go through the same filters and aggregation.
+  const REPORTS = {
+    "2025-h1": { label: "Jan–Jun 2025", dataset: "master" },
+    "2024-h2": { label: "Jul–Dec 2024", dataset: "master_2024h2" }
+  };
+  const CURRENT_REPORT = "2025-h1";
+
+  let compareReport = null;     // key of REPORTS drawn as ghosts, null = off
+  let compareRows = [];         // that report's usable movie rows
+  let compareData = new Map();  // genre → aggregate in the compared report
+
+  // aggregate the compared report with the current filters + axis settings
+  const aggregateCompare = () => compareReport
+    ? new Map(aggregateGenres(explodeMovies(compareRows.filter(passesFilters))).map(d => [d.genre, d]))
+    : new Map();
+
+  // load a report's rows (cached by dataLayer); failures go to the data panel
+  // as a warning, since the current report still plots without it
+  async function setCompareReport(key) {
+    const picked = REPORTS[key] ? key : null;
+    compareReport = picked;
+    compareRows = [];
+    dataIssues.compare = [];
+
+    if (picked) {
+      const { rows, report } = await dataLayer.loadDataset(REPORTS[picked].dataset);
+      if (compareReport !== picked) return;  // the reader picked another report meanwhile
+      const result = dataLayer.filterRows(rows, MOVIE_CHECKS);
+      compareRows = result.kept;
+      const loadError = dataLayer.loadIssue(report);
+      dataIssues.compare = [
+        loadError && { ...loadError, level: "warning" },
+        dataLayer.droppedIssue(`${REPORTS[picked].label} report`, result)
+      ].filter(Boolean);
+    }
+    reaggregate();
+  }
 
   // scales
   // D3 scales map data values → visual properties (position, size, color)
   // set up once at initialization, used by both scatter and bars
-  
-  // x scale: maps average IMDB rating → horizontal position
+  // domains are recomputed by updateScatterScales() whenever genreData changes
+
+  // x scale: maps the x metric (default: average IMDB rating) → horizontal position
   const x = d3.scaleLinear()
-    .domain(d3.extent(genreData, d => d.avg_imdb)).nice()  // auto-extend to round numbers
     .range([margin.left, width - margin.right]);
 
-  // y scale: maps total views → vertical position (inverted: high values at top)
-  const y = d3.scaleLinear()
-    .domain([0, d3.max(genreData, d => d.total_views) * 1.1]).nice()  // add 10% headroom
+  // y scale: maps the y metric (default: total views) → vertical position (inverted: high values at top)
+  // rebuilt by updateScatterScales() with the selected scale type
+  let y = d3.scaleLinear()
     .range([height - margin.bottom, margin.top]);                      // inverted (SVG Y grows down)
 
   // radius scale: maps movie count → bubble size (sqrt scale for area proportionality)
+  // range from the layout: smaller bubbles on a compact chart
   const r = d3.scaleSqrt()
-    .domain([0, d3.max(genreData, d => d.count)])
-    .range([5, 50]);
+    .range(layout.radius);
+
+  // fit the scales to the current genreData (plus the compared report's genres)
+  // additive metrics start at 0 with 10% headroom; scores use their extent.
+  // a log y axis can't reach 0, so it spans the extent with headroom both ways.
+  function updateScatterScales() {
+    const plotted = [...genreData, ...compareData.values()];
+    const fit = (axis, acc) => SCATTER_METRICS[scatterMetrics[axis].metric].zero
+      ? [0, d3.max(plotted, acc) * 1.1]
+      : d3.extent(plotted, acc);
+
+    y = Y_SCALES[yScaleType].make().range(y.range());  // type may have changed
+
+    x.domain(fit("x", xVal)).nice();  // auto-extend to round numbers
+    y.domain(yScaleType === "log"
+      ? [d3.min(plotted, yVal) / 1.5, d3.max(plotted, yVal) * 1.5]
+      : fit("y", yVal)).nice();
+    r.domain([0, d3.max(plotted, d => d.count)]);
+  }
+
+  updateScatterScales();
 
   // color scale: maps movie count → CSS class name (threshold scale for categorical bins)
   // classes defined in styles.css with project's color palette
@@ -188,9 +432,12 @@ const FEAR_GROUP_MAP = new Map([
   // utility functions to smoothly transition between different chart states
   // used when switching from scatter → bars or between bar variants
   
+  // both run as transitions named "crossfade", so a newer scene can cut them
+  // short (see cancelCrossfade)
+
   // fade out a set of D3 selection groups, then optionally run a callback once
   function crossfadeOut(groups, ms = 220, easing = d3.easeCubicOut, afterOnce) {
-    const t = d3.transition().duration(ms).ease(easing);
+    const t = d3.transition("crossfade").duration(motion.duration(ms)).ease(easing);
     let called = false;  // guard to ensure callback fires only once
     
     groups.forEach(g => g.transition(t).style("opacity", 0));
@@ -202,43 +449,212 @@ const FEAR_GROUP_MAP = new Map([
   function crossfadeIn(groups, ms = 260, easing = d3.easeCubicIn) {
     groups.forEach(g => g.style("opacity", 0));  // start invisible
     
-    const t = d3.transition().duration(ms).ease(easing);
+    const t = d3.transition("crossfade").duration(motion.duration(ms)).ease(easing);
     groups.forEach(g => g.transition(t).style("opacity", 1));
   }
 
+  // definitions + axis tick formats for the currently selected scatter metrics
+  const xMetricDef = () => SCATTER_METRICS[scatterMetrics.x.metric];
+  const yMetricDef = () => SCATTER_METRICS[scatterMetrics.y.metric];
+  const xTick = d => xMetricDef().tick(d);
+  const yTick = d => yMetricDef().tick(d);
+  const xTickCount = () => layout.rail ? 10 : 5;  // fewer ticks on a compact chart
+
+  // left axis for the scatter (or a zoomed copy of its y scale). a log axis
+  // gets d3's 1–9 ticks per decade, so only the 1, 2 and 5 ticks are kept
+  const yAxis = (scale = y, count = layout.rail ? 10 : 6) => {
+    const axis = d3.axisLeft(scale).tickFormat(yTick);
+    if (yScaleType !== "log") return axis.ticks(count);
+    const keep = v => [1, 2, 5].includes(Math.round(v / 10 ** Math.floor(Math.log10(v))));
+    return axis.tickValues(scale.ticks(count).filter(keep));
+  };
+
+  // "Total Views", "Total Views (log scale)", ...
+  const yAxisTitle = () => yScaleType === "linear"
+    ? axisLabel("y")
+    : `${axisLabel("y")} (${Y_SCALES[yScaleType].label.toLowerCase()} scale)`;
+
+  // genres that get a text label: top 10 by the y metric
+  const labeledGenres = () => [...genreData].sort((a,b) => yVal(b) - yVal(a)).slice(0, 10);
+
+  // bubble interactions: tooltip on hover, drill-down on click
+  // (bound on first draw and on bubbles entering through updateScatter)
+  function bindBubbleEvents(bubbles) {
+    bubbles
+      .on("mouseover", (_, d) => {
+        if (mode !== "scatter") return;
+        tooltip.style("opacity", 1).html(
+          `<strong>Genre:</strong> ${d.genre}<br/>
+           <strong>Number of Movies:</strong> ${d3.format(",")(d.count)}<br/>
+           <strong>${axisLabel("x")}:</strong> ${xMetricDef().value(xVal(d))}<br/>
+           <strong>${axisLabel("y")}:</strong> ${yMetricDef().value(yVal(d))}` +
+          migrationNote(d)
+        );
+      })
+      .on("mousemove", (event) => {
+        if (mode !== "scatter") return;
+        tooltip.style("left", (event.clientX + 15) + "px")
+               .style("top",  (event.clientY + 15) + "px");
+      })
+      .on("mouseout", () => { if (mode === "scatter") tooltip.style("opacity", 0); })
+      // click: drill down into the genre's individual titles
+      .on("click", (_, d) => drillIntoGenre(d));
+
+    // keyboard: focus shows the tooltip, Enter/Space drills down
+    enableKeyboard(bubbles, d => `${d.genre}: ${d3.format(",")(d.count)} movies`);
+    // touch: first tap shows the tooltip, a second tap drills down
+    enableTap(bubbles);
+  }
+
+  // quadrant a genre falls in against the given crosshairs (see addQuadrantsIfNeeded)
+  function quadrantName(d, split) {
+    const high = yVal(d) > split.y, right = xVal(d) > split.x;
+    if (high) return right ? "Prestige Powerhouses" : "Crowd Magnets";
+    return right ? "Critical Darlings" : "Cult Gems";
+  }
+
+  // tooltip lines for report comparison: change since the compared report.
+  // both quadrants are read against the current crosshairs, as drawn.
+  function migrationNote(d) {
+    if (!compareReport || !compareRows.length) return "";  // off, or the report didn't load
+
+    const label = REPORTS[compareReport].label;
+    const prev = compareData.get(d.genre);
+    if (!prev) return `<br/><em>Not plotted in the ${label} report</em>`;
+
+    // deltas on the axes the reader picked
+    const signed = fmt => v => `${v > 0 ? "+" : v < 0 ? "−" : "±"}${fmt(Math.abs(v))}`;
+    const split = quadrantSplit();
+    return `<br/><strong>Since ${label}:</strong><br/>
+       ${axisLabel("y")}: ${signed(yMetricDef().brief)(yVal(d) - yVal(prev))}<br/>
+       ${axisLabel("x")}: ${signed(xMetricDef().brief)(xVal(d) - xVal(prev))}<br/>
+       Movies: ${signed(d3.format(","))(d.count - prev.count)}<br/>
+       Quadrant: ${quadrantName(prev, split)} → ${quadrantName(d, split)}`;
+  }
+
+  // arrowhead for the migration trails (defined once)
+  svg.append("defs").append("marker")
+    .attr("id", "migration-arrow")
+    .attr("viewBox", "0 0 10 10")
+    .attr("refX", 9).attr("refY", 5)
+    .attr("markerWidth", 6).attr("markerHeight", 6)
+    .attr("orient", "auto-start-reverse")
+    .append("path")
+    .attr("class", "migration-arrowhead")
+    .attr("d", "M 0 0 L 10 5 L 0 10 z");
+
+  // report comparison: a ghost bubble at each genre's position in the compared
+  // report and a trail from it to the current bubble, trimmed to both edges.
+  // keyed joins, so it animates with updateScatter (t: shared transition).
+  function drawMigration(t) {
+    let layer = gChart.select(".migration-layer");
+    if (layer.empty()) layer = gChart.insert("g", ":first-child").attr("class", "migration-layer");
+
+    // genres plotted in both reports (bound to the current datum)
+    const moved = compareReport ? genreData.filter(d => compareData.has(d.genre)) : [];
+    const prevOf = d => compareData.get(d.genre);
+
+    // trail endpoints: ghost edge → current bubble edge
+    // (shown: false when the bubbles overlap and there is no gap to draw in)
+    const trail = d => {
+      const p = prevOf(d);
+      const x1 = x(xVal(p)), y1 = y(yVal(p)), x2 = x(xVal(d)), y2 = y(yVal(d));
+      const len = Math.hypot(x2 - x1, y2 - y1);
+      const from = r(p.count), to = r(d.count) + 2;
+      if (len <= from + to) return { x1: x2, y1: y2, x2, y2, shown: false };
+      const ux = (x2 - x1) / len, uy = (y2 - y1) / len;
+      return { x1: x1 + ux * from, y1: y1 + uy * from, x2: x2 - ux * to, y2: y2 - uy * to, shown: true };
+    };
+
+    layer.selectAll(".genre-ghost")
+      .data(moved, d => d.genre)
+      .join(
+        enter => enter.append("circle")
+          .attr("class", "genre-ghost")
+          .attr("cx", d => x(xVal(prevOf(d))))
+          .attr("cy", d => y(yVal(prevOf(d))))
+          .attr("r", 0),
+        update => update,
+        exit => exit.transition(t).attr("r", 0).remove()
+      )
+      .transition(t)
+      .attr("cx", d => x(xVal(prevOf(d))))
+      .attr("cy", d => y(yVal(prevOf(d))))
+      .attr("r", d => r(prevOf(d).count));
+
+    layer.selectAll(".migration-trail")
+      .data(moved, d => d.genre)
+      .join(
+        enter => enter.append("line")
+          .attr("class", "migration-trail")
+          .attr("marker-end", "url(#migration-arrow)")
+          .attr("x1", d => trail(d).x1).attr("y1", d => trail(d).y1)
+          .attr("x2", d => trail(d).x1).attr("y2", d => trail(d).y1)
+          .style("opacity", 0),
+        update => update,
+        exit => exit.transition(t).style("opacity", 0).remove()
+      )
+      .transition(t)
+      .attr("x1", d => trail(d).x1).attr("y1", d => trail(d).y1)
+      .attr("x2", d => trail(d).x2).attr("y2", d => trail(d).y2)
+      .style("opacity", d => trail(d).shown ? 1 : 0);
+  }
+
   // scatter draw
   // draws the genre scatterplot (bubbles positioned by rating vs views)
   function drawScatter() {
+    describeChart();
     showFineNote();
-    mode = "scatter";
+    setMode("scatter");
     tooltip.style("opacity", 0);
 
-    // clear layers
+    // clear layers (a fresh scatter has nothing to unzoom)
     gChart.selectAll("*").remove();
     gAxis.selectAll("*").remove();
     gLegend.selectAll("*").remove();
+    gLegend.style("opacity", null);
+    svg.selectAll(".horror-center-label").remove();
+    zoomSnapshot = null;
+
+    // nothing to plot: leave the layers empty and explain why in the data panel
+    // (a failed load already has its own error; otherwise every genre was filtered out)
+    if (!genreData.length) {
+      hideFineNote();
+      quadrantsAdded = true;  // nothing to divide; keeps addQuadrantsIfNeeded() a no-op
+      updateDataPanel(masterData.report.status !== "ok" ? [] : [{
+        level: "error",
+        title: "No genres to plot",
+        detail: `No genre has at least ${minGenreCount} titles with a value for ${axisLabel("x")} and ${axisLabel("y")}` +
+                (activeFilterCount() ? " under the current filters." : ".")
+      }]);
+      return;
+    }
+    updateDataPanel();
 
     // bubbles
     gChart.selectAll(".genre-bubble")
       .data(genreData, d => d.genre)
       .join("circle")
       .attr("class", d => `genre-bubble ${colorScale(d.count)}`)
-      .attr("cx", d => x(d.avg_imdb))
-      .attr("cy", d => y(d.total_views))
+      .attr("cx", d => x(xVal(d)))
+      .attr("cy", d => y(yVal(d)))
       .attr("r", 0)
-      .transition().duration(400)
+      .transition().duration(motion.duration(400))
       .attr("r", d => r(d.count));
 
+    // earlier positions from the compared report (if any)
+    drawMigration(d3.transition().duration(motion.duration(400)));
+
     // axes (quadrants added later when baseline card activates)
     gAxis.append("g")
       .attr("class", "x-axis")
       .attr("transform", `translate(0, ${height - margin.bottom})`)
-      .call(d3.axisBottom(x).ticks(10).tickFormat(d => d.toFixed(1)));
+      .call(d3.axisBottom(x).ticks(xTickCount()).tickFormat(xTick));
 
     gAxis.append("g")
       .attr("class", "y-axis")
       .attr("transform", `translate(${margin.left}, 0)`)
-      .call(d3.axisLeft(y).ticks(10).tickFormat(d => d3.format(".2s")(d).replace('G','B')));
+      .call(yAxis());
 
     // axis labels
     gAxis.append("text")
@@ -246,46 +662,30 @@ const FEAR_GROUP_MAP = new Map([
       .attr("x", margin.left + (width - margin.left - margin.right) / 2)
       .attr("y", height - margin.bottom + 50)
       .attr("text-anchor", "middle")
-      .text("Average IMDB Rating");
+      .text(axisLabel("x"));
 
     gAxis.append("text")
       .attr("class", "y-label")
       .attr("transform", "rotate(-90)")
       .attr("x", -(margin.top + (height - margin.top - margin.bottom) / 2))
-      .attr("y", margin.left - 60)
+      .attr("y", Math.max(16, margin.left - 60))
       .attr("text-anchor", "middle")
-      .text("Total Views");
+      .text(yAxisTitle());
 
     // quadrants added when baseline card activates
     quadrantsAdded = false;
 
-    // only top 10 labels for readability
-    const top10 = [...genreData].sort((a,b) => b.total_views - a.total_views).slice(0, 10);
+    // only top 10 labels (by the y metric) for readability
     gChart.selectAll(".genre-label")
-      .data(top10, d => d.genre)
+      .data(labeledGenres(), d => d.genre)
       .join("text")
       .attr("class", "genre-label")
-      .attr("x", d => x(d.avg_imdb))
-      .attr("y", d => y(d.total_views) - r(d.count) - 12)
+      .attr("x", d => x(xVal(d)))
+      .attr("y", d => y(yVal(d)) - r(d.count) - 12)
       .text(d => d.genre);
 
-    // tooltips
-    svg.selectAll(".genre-bubble")
-      .on("mouseover", (_, d) => {
-        if (mode !== "scatter") return;
-        tooltip.style("opacity", 1).html(
-          `<strong>Genre:</strong> ${d.genre}<br/>
-           <strong>Number of Movies:</strong> ${d3.format(",")(d.count)}<br/>
-           <strong>Average IMDB Rating:</strong> ${d.avg_imdb.toFixed(2)}<br/>
-           <strong>Total Views:</strong> ${d3.format(",")(d.total_views)}`
-        );
-      })
-      .on("mousemove", (event) => {
-        if (mode !== "scatter") return;
-        tooltip.style("left", (event.clientX + 15) + "px")
-               .style("top",  (event.clientY + 15) + "px");
-      })
-      .on("mouseout", () => { if (mode === "scatter") tooltip.style("opacity", 0); });
+    // tooltips + click-to-drill-down
+    svg.selectAll(".genre-bubble").call(bindBubbleEvents);
 
     // legend for scatter (by bubble color = movie count)
     const legendCategories = [
@@ -294,13 +694,15 @@ const FEAR_GROUP_MAP = new Map([
       { label: "501 - 1000",   class: "color-cat-3" },
       { label: "201 - 500",    class: "color-cat-4" },
       { label: "51 - 200",     class: "color-cat-5" },
-      { label: "5 - 50",       class: "color-cat-6" }
+      { label: smallestCountLabel(), class: "color-cat-6" }
     ];
     
-    // legend group, positioned to right of chart area
+    // legend group, in the right rail (or under the x-axis label when compact)
     const legend = gLegend.append("g")
       .attr("class", "legend")
-      .attr("transform", `translate(${width - margin.right + 40}, ${margin.top})`);
+      .attr("transform", layout.rail
+        ? `translate(${width - margin.right + 40}, ${margin.top})`
+        : `translate(${margin.left}, ${height - margin.bottom + 78})`);
 
     legend.append("text")
       .attr("class", "legend-title")
@@ -308,15 +710,25 @@ const FEAR_GROUP_MAP = new Map([
       .text("Number of Movies");
 
     // legend items (circles + text)
+    // vertically stacked with 25px spacing; compact: 3 columns × 2 rows
+    const legendColumn = (width - margin.left - margin.right) / 3;
     const legendItems = legend.selectAll(".legend-item")
       .data(legendCategories).join("g")
       .attr("class", "legend-item")
-      .attr("transform", (_, i) => `translate(0, ${(i * 25) + 20})`);  // vertically stack with 25px spacing
+      .attr("transform", (_, i) => layout.rail
+        ? `translate(0, ${(i * 25) + 20})`
+        : `translate(${(i % 3) * legendColumn + 8}, ${Math.floor(i / 3) * 22 + 20})`);
 
     legendItems.append("circle").attr("r", 8).attr("class", d => d.class);
     legendItems.append("text").attr("x", 15).attr("y", 4).text(d => d.label);
+
+    // keep a searched title highlighted across redraws
+    applySearchHighlight();
   }
 
+  // height of the horizontal crosshair's note (raised off the line when compact)
+  const quadrantNoteY = value => y(value) - (layout.rail ? 0 : 6);
+
   // quadrants overlay
   // adds crosshairs and corner labels to divide scatter into four quadrants:
   // - high rating + high views   = "Prestige Powerhouses"
@@ -329,20 +741,19 @@ const FEAR_GROUP_MAP = new Map([
 
     quadrantsAdded = true;
     
-    // calculate mean values for crosshair positions
-    const meanRating = d3.mean(genreData, d => d.avg_imdb);  // vertical line
-    const meanViews  = d3.mean(genreData, d => d.total_views);  // horizontal line
+    // crosshair positions (follow the selected metrics and split rule)
+    const { x: meanRating, y: meanViews } = quadrantSplit();  // vertical, horizontal line
     
     // layout offsets for labels and annotations
     const pad = 30, bottomPad = 30, labelOffset = 10;
 
     // draw vertical crosshair line at mean rating
-    gAxis.append("line").attr("class", "quadrant-line")
+    gAxis.append("line").attr("class", "quadrant-line quadrant-line-x")
       .attr("x1", x(meanRating)).attr("y1", margin.top)
       .attr("x2", x(meanRating)).attr("y2", height - margin.bottom);
 
     // draw horizontal crosshair line at mean views
-    gAxis.append("line").attr("class", "quadrant-line")
+    gAxis.append("line").attr("class", "quadrant-line quadrant-line-y")
       .attr("x1", margin.left).attr("y1", y(meanViews))
       .attr("x2", width - margin.right).attr("y2", y(meanViews));
 
@@ -369,15 +780,36 @@ const FEAR_GROUP_MAP = new Map([
 
     // numeric annotations showing the mean values (positioned above/beside the lines)
     // vertical line annotation (mean rating)
-    gAxis.append("text").attr("class", "quadrant-axis-label")
+    gAxis.append("text").attr("class", "quadrant-axis-label quadrant-note-x")
       .attr("x", x(meanRating)).attr("y", margin.top - labelOffset)
-      .text(`Avg. Rating: ${meanRating.toFixed(2)}`);
+      .text(quadrantNote("x", meanRating));
+
+    // horizontal line annotation (mean views, in the right rail; compact:
+    // just above the line's right end, right-aligned in styles.css)
+    gAxis.append("text").attr("class", "quadrant-axis-label horizontal quadrant-note-y")
+      .attr("x", layout.rail ? width - margin.right + labelOffset + 35 : width - margin.right)
+      .attr("y", quadrantNoteY(meanViews))
+      .text(quadrantNote("y", meanViews));
+  }
+
+  // moves existing crosshairs + annotations to the current split
+  // (used by updateScatter when genreData, the scales or the split rule change)
+  function updateQuadrants(t) {
+    if (!quadrantsAdded || !genreData.length) return;
 
-    // horizontal line annotation (mean views, positioned to the right)
-    gAxis.append("text").attr("class", "quadrant-axis-label horizontal")
-      .attr("x", width - margin.right + labelOffset + 35)
-      .attr("y", y(meanViews))
-      .text(`Avg. Views: ${d3.format(".2s")(meanViews).replace('G','B')}`);
+    const { x: meanRating, y: meanViews } = quadrantSplit();
+
+    gAxis.select(".quadrant-line-x").transition(t)
+      .attr("x1", x(meanRating)).attr("x2", x(meanRating));
+    gAxis.select(".quadrant-line-y").transition(t)
+      .attr("y1", y(meanViews)).attr("y2", y(meanViews));
+
+    gAxis.select(".quadrant-note-x")
+      .text(quadrantNote("x", meanRating))
+      .transition(t).attr("x", x(meanRating));
+    gAxis.select(".quadrant-note-y")
+      .text(quadrantNote("y", meanViews))
+      .transition(t).attr("y", quadrantNoteY(meanViews));
   }
 
   /* ---------------------------- horror focus ------------------------------ */
@@ -387,6 +819,7 @@ const FEAR_GROUP_MAP = new Map([
   
 function focusHorror(on) {
   isHorrorFocused = on;  // update global flag
+  describeChart();
 
   // update title
   titleEl.text(on ? "Horror in the Hit Matrix" : "The Hit Matrix");
@@ -402,6 +835,10 @@ function focusHorror(on) {
   svg.selectAll(".genre-label")
     .classed("dimmed", d => on && notHorror(d))
     .style("pointer-events", d => (on && notHorror(d)) ? "none" : "all");
+
+  // ghosts + trails follow their genre
+  svg.selectAll(".migration-layer > *")
+    .classed("dimmed", d => on && notHorror(d));
 }
 
   /* ---------------------------- quadrant focus ------------------------------ */
@@ -409,13 +846,11 @@ function focusHorror(on) {
   // used by high-views, critical-darlings, and cult-corner scenes.
   
   function focusQuadrant(quadrant) {
-    console.log("focusQuadrant called with:", quadrant);
-    
-    // calculate mean values for filtering
-    const meanRating = d3.mean(genreData, d => d.avg_imdb);
-    const meanViews  = d3.mean(genreData, d => d.total_views);
-    
-    console.log("Mean rating:", meanRating, "Mean views:", meanViews);
+    quadrantFocus = quadrant;  // remembered so a metric change can re-apply it
+    describeChart();
+
+    // crosshair values for filtering (same split as the drawn lines)
+    const { x: meanRating, y: meanViews } = quadrantSplit();
     
     // filter function based on quadrant type
     let shouldDim;
@@ -428,11 +863,7 @@ function focusHorror(on) {
     } else if (quadrant === "critical-darlings") {
       // highlight only bubbles in bottom-right: high rating (right of line) + low views (below line)
       // dim if NOT in critical darlings quadrant
-      shouldDim = d => {
-        const isDimmed = (d.avg_imdb <= meanRating || d.total_views >= meanViews);
-        console.log(`${d.genre}: rating=${d.avg_imdb}, views=${d.total_views}, dimmed=${isDimmed}`);
-        return isDimmed;
-      };
+      shouldDim = d => xVal(d) <= meanRating || yVal(d) >= meanViews;
     } else if (quadrant === "cult-corner") {
       // highlight ONLY horror bubble - dim everything else
       shouldDim = d => {
@@ -452,348 +883,1593 @@ function focusHorror(on) {
     svg.selectAll(".genre-label")
       .classed("dimmed", shouldDim)
       .style("pointer-events", d => shouldDim(d) ? "none" : "all");
+
+    // ghosts + trails carry their genre's current datum, so they dim with it
+    svg.selectAll(".migration-layer > *")
+      .classed("dimmed", shouldDim);
   }
 
-  /* ---------------------------- horror zoom ------------------------------ */
-  // zooms into horror bubble, hides all others, makes horror big and black
-  // used by the horror-zoom scene (final scatter scene before bars)
+  /* ---------------------------- genre zoom ------------------------------ */
+  // zooms into one genre's bubble, hides all others, makes it big and black.
+  // used by the horror-zoom scene (via zoomToHorror) and by the genre
+  // drill-down, which zooms first and then bursts the bubble into its titles.
+  // returns the zoomed scales (or null if the genre isn't plotted).
   
-  function zoomToHorror() {
-    // find horror data
-    const horrorData = genreData.find(d => d.genre?.toLowerCase() === "horror");
-    if (!horrorData) return;
+  function zoomToGenre(genreName, { centerLabel = false } = {}) {
+    describeChart();
+    // find genre data
+    const isTarget = d => d.genre?.toLowerCase() === genreName.toLowerCase();
+    const target = genreData.find(isTarget);
+    if (!target) return null;
+
+    // remember the unzoomed scatter (kept if we are already zoomed or mid-reverse)
+    if (!zoomSnapshot) zoomSnapshot = snapshotScatter();
+    zoomSnapshot.zoomed = true;
     
-    // hide all non-horror bubbles and labels completely - use display:none for complete removal
+    // hide all other bubbles and labels completely - use display:none for complete removal
     svg.selectAll(".genre-bubble")
-      .filter(d => d.genre?.toLowerCase() !== "horror")
-      .transition().duration(800)
+      .filter(d => !isTarget(d))
+      .transition().duration(motion.duration(800))
       .style("opacity", 0)
       .on("end", function() { d3.select(this).style("display", "none"); });
     
-    // hide all non-horror labels completely (including the original horror label)
+    // hide all genre labels completely (including the target's own label)
     svg.selectAll(".genre-label")
-      .transition().duration(800)
+      .transition().duration(motion.duration(800))
       .style("opacity", 0)
       .on("end", function() { d3.select(this).style("display", "none"); });
     
-    // calculate new axis domains centered on horror (zoom in effect)
-    const horrorRating = horrorData.avg_imdb;
-    const horrorViews = horrorData.total_views;
+    // calculate new axis domains centered on the target (zoom in effect)
+    const targetX = xVal(target);
+    const targetY = yVal(target);
     
-    // create tighter scales around horror to push other bubbles out of view
-    const xPadding = 1.5;
-    const yPadding = horrorViews * 0.8;
+    // create tighter scales around the target to push other bubbles out of view
+    const xPadding = xMetricDef().zoomPad(targetX);
+    const yPadding = yMetricDef().zoomPad(targetY);
     
     const xZoom = d3.scaleLinear()
-      .domain([horrorRating - xPadding, horrorRating + xPadding])
+      .domain([targetX - xPadding, targetX + xPadding])
       .range([margin.left, width - margin.right]);
     
-    const yZoom = d3.scaleLinear()
-      .domain([horrorViews - yPadding, horrorViews + yPadding])
+    // same scale type as the main y axis (log keeps a positive lower bound)
+    const yZoom = Y_SCALES[yScaleType].make()
+      .domain([yScaleType === "log" ? Math.max(targetY - yPadding, targetY / 10) : targetY - yPadding,
+               targetY + yPadding])
       .range([height - margin.bottom, margin.top]);
     
     // update axes with new zoomed scales
     gAxis.select(".x-axis")
-      .transition().duration(800)
-      .call(d3.axisBottom(xZoom).ticks(5).tickFormat(d => d.toFixed(1)));
+      .transition().duration(motion.duration(800))
+      .call(d3.axisBottom(xZoom).ticks(5).tickFormat(xTick));
     
     gAxis.select(".y-axis")
-      .transition().duration(800)
-      .call(d3.axisLeft(yZoom).ticks(6).tickFormat(d => d3.format(".2s")(d).replace('G','B')));
+      .transition().duration(motion.duration(800))
+      .call(yAxis(yZoom, 6));
     
     // hide axis labels
     gAxis.selectAll(".x-label, .y-label")
-      .transition().duration(800)
+      .transition().duration(motion.duration(800))
       .style("opacity", 0);
     
-    // make horror bubble much bigger and turn it black
+    // make the target bubble much bigger and turn it black
     svg.selectAll(".genre-bubble")
-      .filter(d => d.genre?.toLowerCase() === "horror")
-      .transition().duration(800)
-      .attr("cx", xZoom(horrorRating))
-      .attr("cy", yZoom(horrorViews))
-      .attr("r", 200)  // even bigger radius for dramatic effect
+      .filter(isTarget)
+      .transition().duration(motion.duration(800))
+      .attr("cx", xZoom(targetX))
+      .attr("cy", yZoom(targetY))
+      .attr("r", layout.zoomRadius)  // even bigger radius for dramatic effect
       .style("fill", "#1D1C1C")  // black color
       .style("opacity", 1)
       .style("display", "block");
     
-    // create a new centered label on the horror bubble - much larger
-    // remove any existing centered horror label first
+    // optionally add a big centered label on the bubble (horror-zoom scene)
+    // remove any existing centered label first
     svg.selectAll(".horror-center-label").remove();
     
-    svg.append("text")
+    if (centerLabel) svg.append("text")
       .attr("class", "horror-center-label")
-      .attr("x", xZoom(horrorRating))
-      .attr("y", yZoom(horrorViews))
+      .attr("x", xZoom(targetX))
+      .attr("y", yZoom(targetY))
       .attr("text-anchor", "middle")
       .attr("dominant-baseline", "middle")
       .style("font-family", "Libre Baskerville, serif")
-      .style("font-size", "60px")
+      .style("font-size", `${layout.zoomLabelSize}px`)
       .style("font-weight", "bold")
       .style("fill", "white")
       .style("opacity", 0)
-      .text("Horror")
-      .transition().duration(800)
+      .text(target.genre)
+      .transition().duration(motion.duration(800))
       .style("opacity", 1);
     
-    // hide the legend
-    gLegend.transition().duration(800)
+    // hide the legend and any report-comparison trails
+    gLegend.transition().duration(motion.duration(800))
+      .style("opacity", 0);
+    gChart.select(".migration-layer").transition().duration(motion.duration(800))
       .style("opacity", 0);
     
     // hide quadrant lines and labels
     gAxis.selectAll(".quadrant-line, .quadrant-label, .quadrant-axis-label")
-      .transition().duration(800)
+      .transition().duration(motion.duration(800))
       .style("opacity", 0);
+
+    return { xZoom, yZoom };
+  }
+
+  /* ---------------------------- horror zoom ------------------------------ */
+  // zooms into horror bubble with the big centered "Horror" label
+  // used by the horror-zoom scene (final scatter scene before bars)
+
+  function zoomToHorror() {
+    if (zoomToGenre("horror", { centerLabel: true })) isHorrorZoomed = true;
   }
   
+  /* ---------------------------- zoom snapshot ------------------------------ */
+  // a zoom moves, recolors and hides a lot of the scatter. before the first
+  // zoom, the scatter as drawn is captured — scales, bubble/label geometry and
+  // the inline styles the zoom touches on every layer — so the reverse zoom can
+  // animate back to exactly that state. a fresh drawScatter() discards it.
+
+  // everything zoomToGenre() changes
+  const SNAPSHOT_SELECTOR = ".genre-bubble, .genre-label, .x-label, .y-label, " +
+    ".quadrant-line, .quadrant-label, .quadrant-axis-label, .legend-layer, .migration-layer";
+  const SNAPSHOT_STYLES = ["display", "opacity", "fill"];
+
+  // resting geometry of bubbles and labels, read from the data rather than the
+  // DOM: a zoom right after drawScatter() would otherwise capture bubbles
+  // still growing from r = 0
+  const restingAttrs = (node, d) =>
+    node.classList.contains("genre-bubble") ? [["cx", x(xVal(d))], ["cy", y(yVal(d))], ["r", r(d.count)]]
+    : node.classList.contains("genre-label") ? [["x", x(xVal(d))], ["y", y(yVal(d)) - r(d.count) - 12]]
+    : [];
+
+  let zoomSnapshot = null;  // { x, y, nodes, zoomed } while a zoom can be undone
+
+  function snapshotScatter() {
+    return {
+      x: x.copy(),
+      y: y.copy(),
+      nodes: svg.selectAll(SNAPSHOT_SELECTOR).nodes().map(node => ({
+        node,
+        attrs : restingAttrs(node, node.__data__),
+        styles: SNAPSHOT_STYLES.map(p => [p, node.style.getPropertyValue(p)])
+      })),
+      zoomed: false
+    };
+  }
+
   /* ---------------------------- restore from horror zoom ------------------------------ */
-  // restores scatter to normal state after horror zoom
-  // used when scrolling back up from horror-zoom to earlier scenes
-  
+  // reverse zoom: animates the scatter back to the snapshot taken before the
+  // zoom (axes, bubbles, labels, legend, quadrants). used when scrolling back
+  // up from horror-zoom to earlier scenes; a no-op when nothing is zoomed.
+
   function restoreFromHorrorZoom() {
-    // restore all bubbles to normal opacity and original positions
-    // restore all bubbles (opacity, position, size, and display)
-    svg.selectAll(".genre-bubble")
-      .style("display", "block")  // restore display first
-      .transition().duration(600)
-      .style("opacity", 0.8)
-      .attr("cx", d => x(d.avg_imdb))
-      .attr("cy", d => y(d.total_views))
-      .attr("r", d => r(d.count))
-      .style("fill", null);  // restore original color classes
-    
-    // restore labels (opacity, font size, font weight, display, and position)
-    svg.selectAll(".genre-label")
-      .style("display", "block")  // restore display first
-      .transition().duration(600)
-      .style("opacity", 1)
-      .style("font-size", null)       // restore original font size
-      .attr("font-size", null)        // clear font-size attribute
-      .style("font-weight", null)     // restore original font weight
-      .attr("x", d => x(d.avg_imdb))
-      .attr("y", d => y(d.total_views) - r(d.count) - 12);
-    
+    isHorrorZoomed = false;
+    const snap = zoomSnapshot;
+    if (!snap || !snap.zoomed) return;
+    snap.zoomed = false;
+    describeChart();
+
+    const t = d3.transition().duration(motion.duration(600));
+
+    // marks, labels and layers: display comes back at once (so the reverse
+    // zoom is visible), geometry, opacity and fill animate back. a zoom still
+    // running is stopped first, or its end handler would hide nodes again
+    snap.nodes.forEach(({ node, attrs, styles }) => {
+      if (!node.isConnected) return;
+      const saved = Object.fromEntries(styles);
+      const el = d3.select(node).interrupt().style("display", saved.display || null);
+      const tr = el.transition(t);
+      attrs.forEach(([a, v]) => tr.attr(a, v));
+      tr.style("opacity", saved.opacity || null)
+        .style("fill", saved.fill || null);
+    });
+
     // remove the centered horror label
     svg.selectAll(".horror-center-label")
-      .transition().duration(600)
+      .transition(t)
       .style("opacity", 0)
       .remove();
-    
-    // restore axes to original scales
+
+    // axes back to the scales they had before the zoom
     gAxis.select(".x-axis")
-      .transition().duration(600)
-      .call(d3.axisBottom(x).ticks(10).tickFormat(d => d.toFixed(1)));
-    
+      .transition(t)
+      .call(d3.axisBottom(snap.x).ticks(xTickCount()).tickFormat(xTick));
+
     gAxis.select(".y-axis")
-      .transition().duration(600)
-      .call(d3.axisLeft(y).ticks(10).tickFormat(d => d3.format(".2s")(d).replace('G','B')));
-    
-    // restore axis labels
-    gAxis.selectAll(".x-label, .y-label")
-      .transition().duration(600)
-      .style("opacity", 1);
-    
-    // restore legend
-    gLegend.transition().duration(600)
-      .style("opacity", 1);
-    
-    // restore quadrants if they were added
-    if (quadrantsAdded) {
-      gAxis.selectAll(".quadrant-line, .quadrant-label, .quadrant-axis-label")
-        .transition().duration(600)
-        .style("opacity", 1);
-    }
+      .transition(t)
+      .call(yAxis(snap.y));
+
+    // done once the animation lands, unless a new zoom started meanwhile.
+    // t is unnamed, so any later root transition (a filter change's
+    // updateScatter, say) interrupts it: that ends the restore too
+    t.on("end interrupt", () => { if (zoomSnapshot === snap && !snap.zoomed) zoomSnapshot = null; });
   }
 
-  /* --------------------------- bars (11 categories) ----------------------- */
-  async function drawFearBars() {
-    hideFineNote();                         // bars do not show the fine note
-    if (!fearRows) fearRows = await d3.csv("./horror_categorized_clean_manualfix.csv");
+  /* ---------------------------- genre drill-down ------------------------------ */
+  // clicking a genre bubble opens a title-level view of that genre: the bubble
+  // zooms in (same move as the horror zoom), then bursts into one dot per movie,
+  // placed by IMDb rating (x) and views (y) and nudged apart into a beeswarm.
+  // the back button (#drill-back) returns to the matrix as it was.
+
+  function drillIntoGenre(d) {
+    if (mode !== "scatter") return;
 
-    mode = "bars";
+    const zoom = zoomToGenre(d.genre);
+    if (!zoom) return;
+
+    // remember what to go back to, then switch modes (disables bubble tooltips)
+    drillReturn = { title: titleEl.text(), subtitle: subtitleEl.text(), zoomed: isHorrorZoomed };
+    isHorrorZoomed = false;
+    setMode("titles");
+    drillGenre = d.genre;
     tooltip.style("opacity", 0);
+    hideFineNote();
+    updateDataPanel();
 
-    // clear layers, including legend (not used in bars)
-    gChart.selectAll("*").remove();
-    gAxis.selectAll("*").remove();
-    gLegend.selectAll("*").remove();
-    
-    // explicitly remove the centered horror label if it exists
-    svg.selectAll(".horror-center-label").remove();
+    titleEl.text(`${d.genre}, Title by Title`);
+    subtitleEl.text(`Each ${d.genre.toLowerCase()} movie among Netflix’s Most-Watched (Jan–Jun 2025), by IMDb rating and views.`);
 
-    // filter → count → sort
-    // only the canonical 11 fear categories, ignore any others or blanks
-    const filtered = fearRows.filter(d => FEAR_SET.has((d.Fear_Category || "").trim()));
-    const counts = d3.rollups(
-      filtered,
-      v => v.length,
-      d => (d.Fear_Category || "").trim()
-    )
-      .map(([fear, count]) => ({ fear, count }))
-      .sort((a, b) => d3.descending(a.count, b.count));
+    // once the bubble fills the frame, burst it into titles
+    // (skip if the reader went back or scrolled to another scene meanwhile)
+    motion.after(800, () => {
+      if (drillGenre !== d.genre) return;
+      drawGenreTitles(d.genre, [zoom.xZoom(xVal(d)), zoom.yZoom(yVal(d))]);
+    });
+  }
 
-    // scales (horizontal bars: categories on Y, counts on X)
-    const leftForBars = 280;  // extra left padding for long category labels
-    const yBar = d3.scaleBand()
-      .domain(counts.map(d => d.fear))
-      .range([margin.top, height - margin.bottom])
-      .padding(0.18);
+  // smaller dots for crowded views
+  const titleDotRadius = count => count > 500 ? 3 : count > 100 ? 4.5 : 6;
+
+  // beeswarm: every dot starts at its true position (tx, ty), then a collide
+  // force pushes overlapping dots apart (run synchronously, nothing animates here)
+  function beeswarm(nodes, radius) {
+    nodes.forEach(n => { n.x = n.tx; n.y = n.ty; });
+    const sim = d3.forceSimulation(nodes)
+      .force("x", d3.forceX(n => n.tx).strength(0.8))
+      .force("y", d3.forceY(n => n.ty).strength(0.8))
+      .force("collide", d3.forceCollide(radius + 0.5))
+      .stop();
+    for (let i = 0; i < 120; i++) sim.tick();
+    return nodes;
+  }
 
-    const xBar = d3.scaleLinear()
-      .domain([0, d3.max(counts, d => d.count)]).nice()
-      .range([leftForBars, width - margin.right]);
+  // draws one dot per title of a genre, growing out of `origin` ([x, y] in px)
+  function drawGenreTitles(genre, origin) {
+    // views feed a log scale, so titles need a positive view count
+    const titles = exploded.filter(t => t.genre === genre && t.views > 0);
+    const fill = colorScale(titles.length);
 
-    // bars title
-    titleEl.text("What Are We Afraid of?");
+    // scales: rating on x, views on a log scale (per-title views span orders of magnitude)
+    const xT = d3.scaleLinear()
+      .domain(d3.extent(titles, t => t.rating)).nice()
+      .range([margin.left, width - margin.right]);
 
-    // bars subtitle
-    subtitleEl.text("Horror titles from Netflix’s Most-Watched Movies (Jan–Jun 2025), divided into the main core fears represented in each film.");
+    const yT = d3.scaleLog()
+      .domain(d3.extent(titles, t => t.views)).nice()
+      .range([height - margin.bottom, margin.top]);
 
-    // axes
-    const yAxis = gAxis.append("g")
-      .attr("class", "y-axis")
-      .attr("transform", `translate(${leftForBars}, 0)`)
-      .call(d3.axisLeft(yBar).tickSizeOuter(0).tickFormat(d => getDisplayName(d)));
+    const dotR = titleDotRadius(titles.length);
+    const nodes = beeswarm(titles.map(t => ({ ...t, tx: xT(t.rating), ty: yT(t.views) })), dotR);
 
-    yAxis.selectAll("text")
-      .attr("text-anchor", "end")
-      .attr("dx", "-0.4em")
-      .style("font-family", "Libre Baskerville, serif")
-      .style("font-size", "15px")
-      .style("font-style", "italic")
-      .style("font-weight", "500")
-      .style("fill", "#333");
+    // the zoomed bubble and its labels give way to the titles
+    gChart.selectAll(".genre-bubble, .genre-label")
+      .transition().duration(motion.duration(300))
+      .style("opacity", 0)
+      .remove();
 
-    gAxis.append("g")
-      .attr("class", "x-axis")
-      .attr("transform", `translate(0, ${height - margin.bottom})`)
-      .call(d3.axisBottom(xBar).ticks(6));
+    // axes move to the title-level scales
+    gAxis.select(".x-axis")
+      .transition().duration(motion.duration(600))
+      .call(d3.axisBottom(xT).ticks(xTickCount()).tickFormat(d => d.toFixed(1)));
 
-    // x-axis label
-    gAxis.append("text")
-      .attr("class", "x-label")
-      .attr("x", leftForBars + (width - leftForBars - margin.right) / 2)
-      .attr("y", height - margin.bottom + 50)
-      .attr("text-anchor", "middle")
-      .text("Total movies");
+    gAxis.select(".y-axis")
+      .transition().duration(motion.duration(600))
+      .call(d3.axisLeft(yT).ticks(6, d => formatSI(d)));
 
-    // bars
-    gChart.selectAll("rect")
-      .data(counts, d => d.fear)
-      .join("rect")
-      .attr("x", leftForBars)
-      .attr("y", d => yBar(d.fear))
-      .attr("width", 0)
-      .attr("height", yBar.bandwidth())
-      .attr("class", "color-cat-1")
-      .transition().duration(600)
-      .attr("width", d => xBar(d.count) - leftForBars);
+    gAxis.select(".x-label").text("IMDB Rating")
+      .transition().duration(motion.duration(600)).style("opacity", 1);
+    gAxis.select(".y-label").text("Views (log scale)")
+      .transition().duration(motion.duration(600)).style("opacity", 1);
 
-    // tooltips
-    gChart.selectAll("rect")
-      .on("mouseover", (_, d) => {
-        const key = (d.fear || "").trim();
-        const displayName = getDisplayName(key);
-        // try the raw (trimmed) category key first, then the display name
-        const description = FEAR_CATEGORY_DESCRIPTIONS[key] || FEAR_CATEGORY_DESCRIPTIONS[displayName] || "";
+    // dots grow out of the bubble's center to their positions
+    gChart.selectAll(".title-dot")
+      .data(nodes, n => `${n.title}|${n.year}`)
+      .join("circle")
+      .attr("class", `title-dot ${fill}`)
+      .attr("cx", origin[0])
+      .attr("cy", origin[1])
+      .attr("r", 0)
+      .transition().duration(motion.duration(600)).delay((_, i) => motion.duration(Math.min(i, 200) * 2))
+      .attr("cx", n => n.x)
+      .attr("cy", n => n.y)
+      .attr("r", dotR);
+
+    // tooltips: poster, title, year, rating, views
+    gChart.selectAll(".title-dot")
+      .on("mouseover", (_, n) => {
+        if (mode !== "titles") return;
+        // local copy when posters.js has one cached; a broken image just drops out
+        const poster = posters.src(n.imdbID, n.poster);
         tooltip.style("opacity", 1).html(
-          `<strong>${displayName}</strong><br/>
-           Total movies: ${d.count}
-           <div style="font-size: 13px; line-height: 1.5; margin: 8px 0; color: #666;">${description}</div>`
+          `${poster ? `<img class="tooltip-poster" src="${poster}" alt="">` : ""}
+           <strong>${n.title}</strong>${n.year ? ` (${n.year})` : ""}<br/>
+           <strong>IMDB Rating:</strong> ${n.rating.toFixed(1)}<br/>
+           <strong>Views:</strong> ${d3.format(",")(n.views)}`
         );
+        tooltip.select(".tooltip-poster").on("error", function () { this.remove(); });
       })
       .on("mousemove", (event) => {
+        if (mode !== "titles") return;
         tooltip.style("left", (event.clientX + 15) + "px")
                .style("top",  (event.clientY + 15) + "px");
       })
-      .on("mouseout", () => tooltip.style("opacity", 0));
-  }
-
-  /* ---------------------------- bars focus ------------------------------ */
-  // dims bars based on their index position (similar to focusQuadrant for scatter)
-  // used to highlight specific bars (e.g., top 2) while dimming others
-  
-  function focusBars(focusCount = null) {
-    if (mode !== "bars") return;  // only works in bars mode
-    
-    // if focusCount is null or "none", remove all dimming
-    if (focusCount === null || focusCount === "none") {
-      gChart.selectAll("rect")
-        .classed("dimmed", false)
-        .style("pointer-events", "all");
-      return;
-    }
-    
-    // dim all bars except the first 'focusCount' bars
-    gChart.selectAll("rect")
-      .classed("dimmed", (d, i) => i >= focusCount)
-      .style("pointer-events", (d, i) => i >= focusCount ? "none" : "all");
-  }
+      .on("mouseout", () => { if (mode === "titles") tooltip.style("opacity", 0); });
+    enableTap(gChart.selectAll(".title-dot"));
 
-  /* ---------------------------- bars focus by supergroup ------------------------------ */
-  // dims bars except those belonging to a specific supergroup
-  // used to highlight categories within one thematic group
-  
-  function focusBarsBySupergroup(supergroupName = null) {
-    if (mode !== "bars") return;  // only works in bars mode
-    
-    // if supergroupName is null or "none", remove all dimming
-    if (supergroupName === null || supergroupName === "none") {
-      gChart.selectAll("rect")
-        .classed("dimmed", false)
-        .style("pointer-events", "all");
-      return;
-    }
-    
-    // dim all bars except those in the specified supergroup
-    gChart.selectAll("rect")
-      .classed("dimmed", d => {
-        const group = FEAR_GROUP_MAP.get(d.fear);
-        return group !== supergroupName;
-      })
-      .style("pointer-events", d => {
-        const group = FEAR_GROUP_MAP.get(d.fear);
-        return group !== supergroupName ? "none" : "all";
-      });
+    describeChart();
   }
 
-  /* --------------------------- bars (supergroups) --------------------------- */
-  //   similar to drawFearBars but groups the 11 categories into 3 macro groups
-  async function drawFearBarsGrouped() {
-    hideFineNote();                         // hidden for bars
-    if (!fearRows) fearRows = await d3.csv("./horror_categorized_clean.csv");
+  // back to the matrix: titles collapse, then the scatter redraws with the
+  // overlays, focus and title it had before the drill-down
+  function exitDrillDown() {
+    if (mode !== "titles") return;
 
-    mode = "bars";
+    const back = drillReturn;
+    const genre = drillGenre;
     tooltip.style("opacity", 0);
 
-    // clear layers, including legend (not used in bars)
-    gChart.selectAll("*").remove();
-    gAxis.selectAll("*").remove();
-    gLegend.selectAll("*").remove();
-    
+    gChart.selectAll(".title-dot")
+      .transition().duration(motion.duration(400))
+      .attr("r", 0)
+      .style("opacity", 0);
+
+    motion.after(400, () => {
+      // the reader may have scrolled to another scene (or drilled elsewhere) meanwhile
+      if (mode !== "titles" || drillGenre !== genre) return;
+
+      isHorrorZoomed = back.zoomed;
+      refreshScatter();
+      if (!back.zoomed) showFineNote();
+      titleEl.text(back.title);
+      subtitleEl.text(back.subtitle);
+    });
+  }
+
+  d3.select("#drill-back").on("click", exitDrillDown);
+
+  /* ------------------------- horror titles by fear ------------------------- */
+  // the horror bubble burst into its titles (horror dataset), placed by IMDb
+  // rating (x) and views (y, log) with their own crosshairs, and colored by
+  // fear category or supergroup. clicking a legend entry isolates that fear,
+  // tying the bars' "what are we afraid of" back to hit performance.
+
+  // supergroup colors (palette in styles.css); a supergroup's categories are
+  // lighter tints of its color
+  const FEAR_PALETTE = ["#4B2E39", "#7A4E35", "#5C7A77", "#C1A76A", "#7D825C", "#474343"];
+  const SUPERGROUP_COLORS = new Map(fearTaxonomy.SUPERGROUPS.map((g, i) => [g.name, FEAR_PALETTE[i % FEAR_PALETTE.length]]));
+  const CATEGORY_COLORS = new Map(fearTaxonomy.SUPERGROUPS.flatMap(g => g.categories.map((c, i) =>
+    [c.name, d3.interpolateRgb(SUPERGROUP_COLORS.get(g.name), "#fbfaf8")(i * 0.3)])));
+
+  // what the dots are colored by: `key` reads a title's group, `name` labels it
+  const FEAR_COLOR_MODES = {
+    category:   { label: "Fear category", legend: "Core fear",  key: n => n.fear,  colors: CATEGORY_COLORS,   name: getDisplayName },
+    supergroup: { label: "Supergroup",    legend: "Supergroup", key: n => n.group, colors: SUPERGROUP_COLORS, name: g => g }
+  };
+
+  let fearColorBy = "category";   // key of FEAR_COLOR_MODES
+  let isolatedFear = null;        // category or supergroup isolated from the legend, null = all
+  let fearTitles = [];            // titles on screen (with quadrant), for the table and summary
+  let fearPlotBottom = 0;         // y of the x axis (raised when compact, see below)
+
+  const fearColorMode = () => FEAR_COLOR_MODES[fearColorBy];
+
+  // legend labels: wrapped onto two lines on the rail, cut to one in the
+  // compact columns (the full name is in the entry's tooltip)
+  const clipLabel = (s, max) => s.length > max ? `${s.slice(0, max - 1).trimEnd()}…` : s;
+  function legendLines(s, max) {
+    if (!layout.rail) return [clipLabel(s, max)];
+    const words = s.split(" ");
+    let first = "";
+    while (words.length && (first + " " + words[0]).trim().length <= max) first = `${first} ${words.shift()}`.trim();
+    return words.length ? [first, clipLabel(words.join(" "), max)] : [first];
+  }
+
+  // compact: the legend (2 columns under the x-axis label) is taller than the
+  // bottom margin, so the plot gives up the difference
+  const fearLegendRoom = () => layout.rail ? 0
+    : Math.max(0, 78 + 20 + Math.ceil(FEAR_CATEGORY_NAMES.length / 2) * 18 - margin.bottom);
+
+  // `burst`: the horror bubble is zoomed on screen (horror-zoom scene) and
+  // breaks into the titles; otherwise the layers are redrawn from scratch
+  // (the scene crossfades around it)
+  async function drawHorrorTitles(token = sceneToken, { burst = false } = {}) {
+    hideFineNote();
+    await loadFearRows();
+    if (!isCurrentScene(token)) return;
+
+    setMode("fears");
+    tooltip.style("opacity", 0);
+    isHorrorZoomed = false;
+    zoomSnapshot = null;  // leaving this view always redraws the scatter
+    gLegend.selectAll("*").remove();
+    gLegend.style("opacity", null);
+
+    // the same titles the fear heatmap places
+    const placed = placeHorrorTitles();
+    dataIssues.fears = [...dataIssues.bars, dataLayer.droppedIssue("Horror titles", placed)].filter(Boolean);
+    updateDataPanel();
+
+    const titles = placed.kept.map(d => {
+      const fear = d.Fear_Category.trim();
+      const year = toNumber(d.OMDb_Year);
+      return {
+        title  : d.EnglishTitle || d.Title,
+        year   : year != null ? Math.round(year) : null,
+        fear,
+        group  : FEAR_GROUP_MAP.get(fear),
+        rating : toNumber(d.OMDb_imdbRating),
+        views  : toNumber(d.Views),
+        imdbID : d.OMDb_imdbID,
+        poster : d.OMDb_Poster && d.OMDb_Poster !== "N/A" ? d.OMDb_Poster : null
+      };
+    });
+
+    // the horror bubble and its label give way to the titles
+    const fadeOut = sel => sel.transition().duration(motion.duration(300)).style("opacity", 0).remove();
+    if (burst) {
+      fadeOut(gChart.selectAll("*"));
+      fadeOut(svg.selectAll(".horror-center-label"));
+      gAxis.selectAll(".quadrant-line, .quadrant-label, .quadrant-axis-label").remove();
+    } else {
+      gChart.selectAll("*").remove();
+      gAxis.selectAll("*").remove();
+      svg.selectAll(".horror-center-label").remove();
+    }
+    if (!titles.length) return;
+
+    // crosshairs: the matrix's split rule over the horror titles themselves
+    // (the same ones the fear heatmap uses)
+    const rule = QUADRANT_SPLITS[quadrantSplitRule];
+    const split = horrorQuadrantSplit(titles);
+    fearTitles = titles.map(t => ({ ...t, quadrant: titleQuadrant(t.rating, t.views, split) }));
+
+    // scales: rating on x, views on a log scale (as in the genre drill-down)
+    const bottom = fearPlotBottom = height - margin.bottom - fearLegendRoom();
+    const xF = d3.scaleLinear()
+      .domain(d3.extent(titles, t => t.rating)).nice()
+      .range([margin.left, width - margin.right]);
+
+    const yF = d3.scaleLog()
+      .domain(d3.extent(titles, t => t.views)).nice()
+      .range([bottom, margin.top]);
+
+    titleEl.text("Horror, Title by Title");
+    subtitleEl.text("Each horror movie among Netflix’s Most-Watched (Jan–Jun 2025), by IMDb rating and views, " +
+                    "colored by the fear at its core. Click a fear in the legend to isolate it.");
+
+    // axes: carried over from the zoom (animated) or drawn fresh
+    const t = d3.transition().duration(motion.duration(600));
+    if (gAxis.select(".x-axis").empty()) {
+      gAxis.append("g").attr("class", "x-axis");
+      gAxis.append("g").attr("class", "y-axis").attr("transform", `translate(${margin.left}, 0)`);
+      gAxis.append("text").attr("class", "x-label").attr("text-anchor", "middle");
+      gAxis.append("text").attr("class", "y-label").attr("transform", "rotate(-90)").attr("text-anchor", "middle");
+    }
+    gAxis.select(".x-axis").attr("transform", `translate(0, ${bottom})`);
+    gAxis.select(".x-label")
+      .attr("x", margin.left + (width - margin.left - margin.right) / 2)
+      .attr("y", bottom + 50);
+    gAxis.select(".y-label")
+      .attr("x", -(margin.top + (bottom - margin.top) / 2))
+      .attr("y", Math.max(16, margin.left - 60));
+    gAxis.select(".x-axis").transition(t)
+      .call(d3.axisBottom(xF).ticks(xTickCount()).tickFormat(d => d.toFixed(1)));
+    gAxis.select(".y-axis").transition(t)
+      .call(d3.axisLeft(yF).ticks(6, d => formatSI(d)));
+    gAxis.select(".x-label").text("IMDB Rating").transition(t).style("opacity", 1);
+    gAxis.select(".y-label").text("Views (log scale)").transition(t).style("opacity", 1);
+
+    // quadrant lines, corner labels and split notes for the horror titles
+    const pad = 30;
+    gAxis.append("line").attr("class", "quadrant-line")
+      .attr("x1", xF(split.x)).attr("x2", xF(split.x))
+      .attr("y1", margin.top).attr("y2", bottom);
+    gAxis.append("line").attr("class", "quadrant-line")
+      .attr("x1", margin.left).attr("x2", width - margin.right)
+      .attr("y1", yF(split.y)).attr("y2", yF(split.y));
+
+    gAxis.selectAll(".quadrant-label")
+      .data([
+        ["Prestige Powerhouses", width - margin.right, margin.top + pad, "end"],
+        ["Crowd Magnets", margin.left + pad, margin.top + pad, "start"],
+        ["Critical Darlings", width - margin.right, bottom - pad, "end"],
+        ["Cult Gems", margin.left + pad, bottom - pad, "start"]
+      ])
+      .join("text")
+      .attr("class", "quadrant-label")
+      .attr("x", d => d[1]).attr("y", d => d[2])
+      .attr("text-anchor", d => d[3])
+      .text(d => d[0]);
+
+    gAxis.append("text").attr("class", "quadrant-axis-label")
+      .attr("x", xF(split.x)).attr("y", margin.top - 10)
+      .text(`${rule.short} Rating: ${split.x.toFixed(1)}`);
+    // the rail holds the legend here, so the views note sits on the line's right end
+    gAxis.append("text").attr("class", "quadrant-axis-label")
+      .attr("x", width - margin.right).attr("y", yF(split.y) - 6)
+      .style("text-anchor", "end")
+      .text(`${rule.short} Views: ${formatSI(split.y)}`);
+
+    // dots grow out of the plot's center (where the zoomed horror bubble sits)
+    const dotR = titleDotRadius(titles.length);
+    const nodes = beeswarm(fearTitles.map(n => ({ ...n, tx: xF(n.rating), ty: yF(n.views) })), dotR);
+    const origin = [(margin.left + width - margin.right) / 2, (margin.top + bottom) / 2];
+
+    gChart.selectAll(".fear-dot")
+      .data(nodes, n => `${n.title}|${n.year}`)
+      .join("circle")
+      .attr("class", "title-dot fear-dot")
+      .attr("cx", origin[0])
+      .attr("cy", origin[1])
+      .attr("r", 0)
+      .transition().duration(motion.duration(600))
+      .delay((_, i) => motion.duration((burst ? 200 : 0) + Math.min(i, 200) * 2))
+      .attr("cx", n => n.x)
+      .attr("cy", n => n.y)
+      .attr("r", dotR);
+
+    // tooltips: poster, title, year, fear, rating, views, quadrant
+    gChart.selectAll(".fear-dot")
+      .on("mouseover", (_, n) => {
+        if (mode !== "fears") return;
+        const poster = posters.src(n.imdbID, n.poster);
+        tooltip.style("opacity", 1).html(
+          `${poster ? `<img class="tooltip-poster" src="${poster}" alt="">` : ""}
+           <strong>${n.title}</strong>${n.year ? ` (${n.year})` : ""}<br/>
+           <strong>Fear:</strong> ${getDisplayName(n.fear)}<br/>
+           <strong>IMDB Rating:</strong> ${n.rating.toFixed(1)}<br/>
+           <strong>Views:</strong> ${d3.format(",")(n.views)}<br/>
+           <em>${n.quadrant}</em>`
+        );
+        tooltip.select(".tooltip-poster").on("error", function () { this.remove(); });
+      })
+      .on("mousemove", (event) => {
+        if (mode !== "fears") return;
+        tooltip.style("left", (event.clientX + 15) + "px")
+               .style("top",  (event.clientY + 15) + "px");
+      })
+      .on("mouseout", () => { if (mode === "fears") tooltip.style("opacity", 0); });
+    enableKeyboard(gChart.selectAll(".fear-dot"), n =>
+      `${n.title}${n.year ? ` (${n.year})` : ""}, ${getDisplayName(n.fear)}: IMDb ${n.rating.toFixed(1)}, ${d3.format(",")(n.views)} views`);
+    enableTap(gChart.selectAll(".fear-dot"));
+
+    colorHorrorTitles();
+  }
+
+  // fill the dots by the current color mode and (re)build the legend
+  function colorHorrorTitles() {
+    if (mode !== "fears") return;
+    const def = fearColorMode();
+
+    gChart.selectAll(".fear-dot").style("fill", n => def.colors.get(def.key(n)) || "#999");
+
+    // legend: one entry per group on screen, in taxonomy order
+    const present = new Set(fearTitles.map(def.key));
+    const entries = [...def.colors.keys()].filter(k => present.has(k));
+
+    gLegend.selectAll("*").remove();
+    const legend = gLegend.append("g")
+      .attr("class", "legend")
+      .attr("transform", layout.rail
+        ? `translate(${width - margin.right + 40}, ${margin.top})`
+        : `translate(${margin.left}, ${fearPlotBottom + 78})`);
+
+    legend.append("text")
+      .attr("class", "legend-title")
+      .attr("x", 0).attr("y", 0)
+      .text(def.legend);
+
+    // rail: stacked (two-line names take an extra 15px); compact: 2 columns
+    const lines = new Map(entries.map(k => [k, legendLines(def.name(k), layout.rail ? 24 : 20)]));
+    const offsets = entries.reduce((acc, k, i) => [...acc, i ? acc[i - 1] + 25 + (lines.get(entries[i - 1]).length - 1) * 15 : 20], []);
+    const column = (width - margin.left - margin.right) / 2;
+    const items = legend.selectAll(".legend-item")
+      .data(entries).join("g")
+      .attr("class", "legend-item fear-legend-item")
+      .attr("transform", (_, i) => layout.rail
+        ? `translate(0, ${offsets[i]})`
+        : `translate(${(i % 2) * column + 8}, ${Math.floor(i / 2) * 18 + 20})`)
+      .attr("tabindex", 0)
+      .attr("role", "button")
+      .attr("aria-label", k => `Isolate ${def.name(k)}`)
+      .on("click", (_, k) => isolateFear(isolatedFear === k ? null : k))
+      .on("keydown", (event, k) => {
+        if (event.key !== "Enter" && event.key !== " ") return;
+        event.preventDefault();
+        isolateFear(isolatedFear === k ? null : k);
+      });
+
+    items.append("title").text(k => def.name(k));
+    items.append("circle").attr("r", layout.rail ? 8 : 6).style("fill", k => def.colors.get(k));
+    items.append("text").attr("x", 15).attr("y", 4)
+      .selectAll("tspan")
+      .data(k => lines.get(k))
+      .join("tspan")
+      .attr("x", 15)
+      .attr("dy", (_, i) => i ? 15 : 0)
+      .text(d => d);
+
+    isolateFear(isolatedFear);
+  }
+
+  // dim every title (and legend entry) outside one fear; null shows them all
+  function isolateFear(key) {
+    if (mode !== "fears") return;
+    isolatedFear = key;
+    const def = fearColorMode();
+    const out = n => key !== null && def.key(n) !== key;
+
+    gChart.selectAll(".fear-dot")
+      .classed("dimmed", out)
+      .attr("tabindex", n => out(n) ? -1 : 0)  // tabbing skips the faded titles
+      .style("pointer-events", n => out(n) ? "none" : null);
+    gLegend.selectAll(".fear-legend-item")
+      .classed("dimmed", k => key !== null && k !== key)
+      .attr("aria-pressed", k => k === key);
+    describeChart();
+  }
+
+  // "Color by" picker (fear category / supergroup); switching clears the isolation
+  function initFearColorPicker() {
+    const colorSel = d3.select("#fear-color");
+    if (colorSel.empty()) return;
+
+    colorSel.selectAll("option")
+      .data(Object.entries(FEAR_COLOR_MODES))
+      .join("option")
+      .attr("value", ([key]) => key)
+      .text(([, def]) => def.label);
+    colorSel.property("value", fearColorBy);
+
+    colorSel.on("change", () => {
+      fearColorBy = colorSel.property("value");
+      isolatedFear = null;
+      colorHorrorTitles();
+    });
+  }
+
+  initFearColorPicker();
+
+  /* ----------------------------- title search ------------------------------ */
+  // search box with autocomplete over Title / EnglishTitle. picking a movie
+  // rings every genre bubble it counts toward (scatter) or its fear-category
+  // bar (bars), and opens a detail card. the pick survives redraws and scene
+  // changes until the search is cleared.
+
+  const searchInput = d3.select("#title-search");
+  const searchList  = d3.select("#title-search-results");
+  const searchCard  = d3.select(".search-card");
+  let searchIndex = [];   // one entry per movie (see buildSearchIndex)
+  let searchResults = []; // current autocomplete suggestions
+  let searchActive = -1;  // keyboard-highlighted suggestion (-1 = none)
+
+  // one entry per movie: the master dataset gives genres, views and ratings;
+  // the horror dataset adds each horror title's fear category.
+  // rows are matched by IMDb id (falling back to the title).
+  async function buildSearchIndex() {
+    const horrorData = await dataLayer.loadDataset("horror");
+    const keyOf = m => m.OMDb_imdbID || m.Title;
+
+    const entryOf = m => {
+      const title = m.Title || m.EnglishTitle;
+      const englishTitle = m.EnglishTitle && m.EnglishTitle !== title ? m.EnglishTitle : null;
+      const year = toNumber(m.OMDb_Year);
+      return {
+        title,
+        englishTitle,
+        haystack : [title, englishTitle].filter(Boolean).join(" | ").toLowerCase(),
+        genres   : (m.OMDb_Genre || "").split(",").map(g => g.trim()).filter(Boolean),
+        year     : year != null ? Math.round(year) : null,
+        views    : toNumber(m.Views),
+        rating   : toNumber(m.OMDb_imdbRating),
+        plot     : m.OMDb_Plot && m.OMDb_Plot !== "N/A" ? m.OMDb_Plot : null,
+        fear     : null
+      };
+    };
+
+    const index = new Map();
+    movies.forEach(m => { if (m.Title || m.EnglishTitle) index.set(keyOf(m), entryOf(m)); });
+
+    horrorData.rows.forEach(m => {
+      if (!m.Title && !m.EnglishTitle) return;
+      const key = keyOf(m);
+      if (!index.has(key)) index.set(key, entryOf(m));
+      const fear = (m.Fear_Category || "").trim();
+      index.get(key).fear = FEAR_SET.has(fear) ? fear : null;
+    });
+
+    return Array.from(index.values());
+  }
+
+  // best matches first: titles that start with the query, then by views
+  function searchTitles(query, limit = 8) {
+    const q = query.trim().toLowerCase();
+    if (q.length < 2) return [];
+
+    const startsWith = e => e.haystack.startsWith(q) || e.haystack.includes(`| ${q}`);
+    return searchIndex
+      .filter(e => e.haystack.includes(q))
+      .sort((a, b) => d3.descending(startsWith(a), startsWith(b)) || d3.descending(a.views, b.views))
+      .slice(0, limit);
+  }
+
+  // render the suggestion list (combobox pattern: input + role="listbox")
+  function renderSearchResults() {
+    const items = searchList.selectAll("li")
+      .data(searchResults)
+      .join("li")
+      .attr("role", "option")
+      .attr("id", (_, i) => `title-search-option-${i}`)
+      .attr("aria-selected", (_, i) => i === searchActive)
+      .classed("is-active", (_, i) => i === searchActive)
+      .on("mousedown", (event, e) => {
+        event.preventDefault();  // keep focus in the input
+        pickTitle(e);
+      });
+
+    // text only (titles come from the CSV, never injected as HTML)
+    items.selectAll("*").remove();
+    items.append("span").attr("class", "search-result-title").text(e => e.title);
+    items.append("span").attr("class", "search-result-meta").text(e => e.year || "");
+    items.filter(e => e.englishTitle)
+      .append("span").attr("class", "search-result-alt").text(e => e.englishTitle);
+
+    searchList.property("hidden", searchResults.length === 0);
+    searchInput
+      .attr("aria-expanded", searchResults.length > 0)
+      .attr("aria-activedescendant", searchActive >= 0 ? `title-search-option-${searchActive}` : null);
+  }
+
+  function pickTitle(entry) {
+    searchPick = entry;
+    searchResults = [];
+    searchActive = -1;
+    searchInput.property("value", entry.title);
+    renderSearchResults();
+    applySearchHighlight();
+    showSearchCard(entry);
+  }
+
+  function clearSearch() {
+    searchPick = null;
+    searchResults = [];
+    searchActive = -1;
+    searchInput.property("value", "");
+    renderSearchResults();
+    applySearchHighlight();
+    searchCard.property("hidden", true);
+  }
+
+  // ring the picked movie's genre bubbles and fear bar (called after every redraw)
+  function applySearchHighlight() {
+    const genres = new Set(searchPick?.genres || []);
+    const fear = searchPick?.fear || null;
+
+    gChart.selectAll(".genre-bubble")
+      .classed("search-hit", d => genres.has(d.genre));
+
+    // 11-category bars carry d.fear; supergroup bars carry d.group
+    gChart.selectAll("rect")
+      .classed("search-hit", d => !!fear && (d.fear ? d.fear === fear : d.group === FEAR_GROUP_MAP.get(fear)));
+  }
+
+  // detail card: views, rating, fear category and plot of the picked movie
+  function showSearchCard(e) {
+    const rows = [
+      ["Views", e.views != null ? d3.format(",")(e.views) : "—"],
+      ["IMDb rating", e.rating != null ? `${e.rating.toFixed(1)}/10` : "—"],
+      ["Genres", e.genres.join(", ") || "—"],
+      ["Fear category", e.fear ? getDisplayName(e.fear) : "—"]
+    ];
+
+    searchCard.selectAll("*").remove();
+    searchCard.append("button")
+      .attr("type", "button")
+      .attr("class", "search-card-close")
+      .attr("aria-label", "Close title details")
+      .text("×")
+      .on("click", clearSearch);
+
+    searchCard.append("h3").attr("class", "search-card-title")
+      .text(e.year ? `${e.title} (${e.year})` : e.title);
+    if (e.englishTitle) searchCard.append("p").attr("class", "search-card-alt").text(e.englishTitle);
+
+    const dl = searchCard.append("dl");
+    rows.forEach(([label, value]) => {
+      dl.append("dt").text(label);
+      dl.append("dd").text(value);
+    });
+
+    if (e.plot) searchCard.append("p").attr("class", "search-card-plot").text(e.plot);
+
+    searchCard.property("hidden", false);
+  }
+
+  // input wiring: type to filter, arrows to move, enter to pick, escape to close
+  searchInput
+    .on("input", () => {
+      searchResults = searchTitles(searchInput.property("value"));
+      searchActive = -1;
+      renderSearchResults();
+    })
+    .on("keydown", (event) => {
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        if (!searchResults.length) return;
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        searchActive = (searchActive + step + searchResults.length) % searchResults.length;
+        renderSearchResults();
+      } else if (event.key === "Enter") {
+        const entry = searchResults[Math.max(searchActive, 0)];
+        if (entry) { event.preventDefault(); pickTitle(entry); }
+      } else if (event.key === "Escape") {
+        searchResults = [];
+        renderSearchResults();
+      }
+    })
+    .on("blur", () => {
+      searchResults = [];
+      renderSearchResults();
+    });
+
+  d3.select("#title-search-clear").on("click", clearSearch);
+
+  buildSearchIndex().then(index => { searchIndex = index; });
+
+  /* ---------------------------- metric picker ------------------------------ */
+  // lets readers swap the metric + aggregation on each scatter axis.
+  // a change re-aggregates genreData, refits the scales, and redraws the
+  // scatter while keeping the scene's overlays (quadrants, focus, zoom).
+
+  // redraw the scatter in place and re-apply whatever the current scene added
+  function refreshScatter() {
+    const hadQuadrants = quadrantsAdded;
+    const zoomed = isHorrorZoomed;
+
+    drawScatter();
+    if (hadQuadrants) addQuadrantsIfNeeded();
+
+    if (isHorrorFocused) focusHorror(true);
+    else focusQuadrant(quadrantFocus);
+
+    if (zoomed) {
+      hideFineNote();
+      zoomToHorror();
+    }
+  }
+
+  // animate the drawn scatter to the current genreData + scales with keyed
+  // joins: bubbles and labels move, enter (grow) and exit (shrink) by genre,
+  // axes and crosshairs rescale. falls back to a full redraw when there is no
+  // plain scatter on screen to animate from (empty chart, horror zoom).
+  function updateScatter(ms = 750) {
+    if (mode !== "scatter") return;
+    describeChart();
+    if (gAxis.select(".x-axis").empty() || isHorrorZoomed || !genreData.length) {
+      refreshScatter();
+      return;
+    }
+
+    updateDataPanel();
+    tooltip.style("opacity", 0);
+    const t = d3.transition().duration(motion.duration(ms)).ease(d3.easeCubicInOut);
+
+    // bubbles (class is rewritten, so focus + search classes are re-applied below)
+    gChart.selectAll(".genre-bubble")
+      .data(genreData, d => d.genre)
+      .join(
+        enter => enter.append("circle")
+          .attr("cx", d => x(xVal(d)))
+          .attr("cy", d => y(yVal(d)))
+          .attr("r", 0)
+          .call(bindBubbleEvents),
+        update => update,
+        exit => exit.transition(t).attr("r", 0).remove()
+      )
+      .attr("class", d => `genre-bubble ${colorScale(d.count)}`)
+      .transition(t)
+      .attr("cx", d => x(xVal(d)))
+      .attr("cy", d => y(yVal(d)))
+      .attr("r", d => r(d.count));
+
+    drawMigration(t);
+
+    // labels (top 10 can change membership)
+    gChart.selectAll(".genre-label")
+      .data(labeledGenres(), d => d.genre)
+      .join(
+        enter => enter.append("text")
+          .attr("class", "genre-label")
+          .attr("x", d => x(xVal(d)))
+          .attr("y", d => y(yVal(d)) - r(d.count) - 12)
+          .style("opacity", 0)
+          .text(d => d.genre),
+        update => update,
+        exit => exit.transition(t).style("opacity", 0).remove()
+      )
+      .transition(t)
+      .style("opacity", 1)
+      .attr("x", d => x(xVal(d)))
+      .attr("y", d => y(yVal(d)) - r(d.count) - 12);
+
+    // axes + labels
+    gAxis.select(".x-axis").transition(t)
+      .call(d3.axisBottom(x).ticks(xTickCount()).tickFormat(xTick));
+    gAxis.select(".y-axis").transition(t)
+      .call(yAxis());
+    gAxis.select(".x-label").text(axisLabel("x"));
+    gAxis.select(".y-label").text(yAxisTitle());
+
+    updateQuadrants(t);
+
+    // re-apply the scene's focus and any searched title
+    if (isHorrorFocused) focusHorror(true);
+    else focusQuadrant(quadrantFocus);
+    applySearchHighlight();
+  }
+
+  // rerun the pipeline: filter → explode → rollup (count >= minGenreCount) → scales → scatter
+  // (for the compared report too)
+  function reaggregate() {
+    exploded = explodeMovies(movieRows.kept.filter(passesFilters));
+    genreData = aggregateGenres(exploded);
+    compareData = aggregateCompare();
+    updateScatterScales();
+    updateScatter();
+  }
+
+  function initMetricPicker() {
+    const axes = ["x", "y"];
+
+    axes.forEach(axis => {
+      const metricSel = d3.select(`#${axis}-metric`);
+      const aggSel    = d3.select(`#${axis}-agg`);
+      if (metricSel.empty() || aggSel.empty()) return;
+
+      // options come straight from the metric / aggregation definitions
+      metricSel.selectAll("option")
+        .data(Object.entries(SCATTER_METRICS))
+        .join("option")
+        .attr("value", ([key]) => key)
+        .text(([, def]) => def.label);
+
+      aggSel.selectAll("option")
+        .data(Object.entries(AGGREGATIONS))
+        .join("option")
+        .attr("value", ([key]) => key)
+        .text(([, def]) => def.label);
+
+      // "Total" is only offered for additive metrics
+      const syncAggOptions = () => {
+        const additive = SCATTER_METRICS[scatterMetrics[axis].metric].additive;
+        if (!additive && scatterMetrics[axis].agg === "sum") scatterMetrics[axis].agg = "mean";
+        aggSel.selectAll("option").property("disabled", ([key]) => key === "sum" && !additive);
+        metricSel.property("value", scatterMetrics[axis].metric);
+        aggSel.property("value", scatterMetrics[axis].agg);
+      };
+      syncAggOptions();
+
+      const onChange = () => {
+        scatterMetrics[axis] = { metric: metricSel.property("value"), agg: aggSel.property("value") };
+        syncAggOptions();
+        reaggregate();
+      };
+
+      metricSel.on("change", onChange);
+      aggSel.on("change", onChange);
+    });
+
+    // y scale type (linear / log / sqrt); bubbles animate to the new positions
+    const scaleSel = d3.select("#y-scale");
+    if (scaleSel.empty()) return;
+
+    scaleSel.selectAll("option")
+      .data(Object.entries(Y_SCALES))
+      .join("option")
+      .attr("value", ([key]) => key)
+      .text(([, def]) => def.label);
+    scaleSel.property("value", yScaleType);
+
+    scaleSel.on("change", () => {
+      yScaleType = scaleSel.property("value");
+      reaggregate();  // a log axis drops genres with no positive value
+    });
+  }
+
+  initMetricPicker();
+
+  // quadrant controls: split rule (moves crosshairs + quadrant membership)
+  // and minimum titles per genre (re-aggregates)
+  function initQuadrantControls() {
+    const splitSel = d3.select("#quadrant-split");
+    const minInput = d3.select("#min-genre-count");
+    const minValue = d3.select("#min-genre-count-value");
+    if (splitSel.empty() || minInput.empty()) return;
+
+    splitSel.selectAll("option")
+      .data(Object.entries(QUADRANT_SPLITS))
+      .join("option")
+      .attr("value", ([key]) => key)
+      .text(([, def]) => def.label);
+    splitSel.property("value", quadrantSplitRule);
+
+    splitSel.on("change", () => {
+      quadrantSplitRule = splitSel.property("value");
+      updateScatter();  // genreData is unchanged; crosshairs + focus follow the new split
+    });
+
+    minInput.property("value", minGenreCount);
+    minValue.text(minGenreCount);
+
+    // label follows the thumb while dragging; the chart updates on release
+    minInput.on("input", () => minValue.text(minInput.property("value")));
+    minInput.on("change", () => {
+      minGenreCount = +minInput.property("value");
+      minValue.text(minGenreCount);
+      if (mode === "scatter") {
+        gLegend.selectAll(".legend-item text").filter(d => d.class === "color-cat-6").text(smallestCountLabel());
+      }
+      reaggregate();
+    });
+  }
+
+  initQuadrantControls();
+
+  /* ------------------------------ bar metrics ------------------------------ */
+  // what the fear bars measure. `value` reduces one bar's rows to a number
+  // (`all` = every bar row, for shares); `tick` formats the axis, `format` the
+  // tooltips and summaries, `unit` follows the value in screen-reader labels,
+  // and `column` names the value in the downloaded table.
+  const BAR_METRICS = {
+    count: {
+      label: "Titles", axis: "Total movies", unit: "movies", column: "movies",
+      value: v => v.length,
+      tick: d3.format(","), format: d3.format(",")
+    },
+    views: {
+      label: "Total views", axis: "Total views", unit: "views", column: "total_views",
+      value: v => d3.sum(v, d => toNumber(d.Views)),
+      tick: formatSI, format: d3.format(",.0f")
+    },
+    hours: {
+      label: "Total hours viewed", axis: "Total hours viewed", unit: "hours viewed", column: "total_hours",
+      value: v => d3.sum(v, d => toNumber(d["Hours Viewed"])),
+      tick: formatSI, format: d3.format(",.0f")
+    },
+    rating: {
+      label: "Average IMDB rating", axis: "Average IMDB rating", unit: "average IMDB rating", column: "avg_imdb_rating",
+      value: v => d3.mean(v, d => toNumber(d.OMDb_imdbRating)),   // titles without a rating are skipped
+      tick: d => d.toFixed(1), format: d => d.toFixed(2)
+    },
+    share: {
+      label: "Share of horror views", axis: "Share of horror views", unit: "of horror views", column: "views_share",
+      value: (v, all) => d3.sum(v, d => toNumber(d.Views)) / d3.sum(all, d => toNumber(d.Views)),
+      tick: d3.format(".0%"), format: d3.format(".1%")
+    }
+  };
+
+  let barMetric = "count";  // key of BAR_METRICS
+  const barMetricDef = () => BAR_METRICS[barMetric];
+
+  // one bar's stats: its title count, every metric (for downloads) and
+  // `value`, the current metric, which sets the bar's length and order
+  function barStats(rows) {
+    const stats = Object.fromEntries(Object.entries(BAR_METRICS).map(([key, def]) => [key, def.value(rows, fearRows)]));
+    return { ...stats, value: stats[barMetric] ?? 0 };
+  }
+
+  // download columns for a bar (movies, total_views, ...)
+  const barColumns = d => Object.fromEntries(Object.entries(BAR_METRICS).map(([key, def]) => [def.column, d[key] ?? null]));
+
+  // tooltip lines: the title count, plus the current metric when it is another one
+  const barTooltip = d => `Total movies: ${d.count}` +
+    (barMetric === "count" ? "" : `<br/>${barMetricDef().label}: ${barMetricDef().format(d.value)}`);
+
+  // "Body Horror: 1,234,000 views" (keyboard focus, text equivalent)
+  const barLabel = d => `${d.fear ? getDisplayName(d.fear) : d.group}: ${barMetricDef().format(d.value)} ${barMetricDef().unit}`;
+
+  /* ---------------------------- fear rows (bars) --------------------------- */
+  // lazy-loads the horror dataset for both bar charts (only once).
+  // only the canonical 11 fear categories are kept; blanks and any others
+  // (e.g. "Parsing Failed") are counted and reported in the data panel.
+  async function loadFearRows() {
+    if (fearRows) return fearRows;
+
+    const horrorData = await dataLayer.loadDataset("horror");
+    const result = dataLayer.filterRows(horrorData.rows, [
+      {
+        reason: "with no fear category",
+        invalid: d => !(d.Fear_Category || "").trim()
+      },
+      {
+        reason: "with an unrecognized fear category",
+        invalid: d => !FEAR_SET.has(d.Fear_Category.trim())
+      }
+    ]);
+
+    dataIssues.bars = [
+      dataLayer.loadIssue(horrorData.report),
+      dataLayer.droppedIssue("Fear categories", result)
+    ].filter(Boolean);
+
+    fearRows = result.kept;
+    return fearRows;
+  }
+
+  /* ----------------------------- filter panel ------------------------------ */
+  // slices the Hit Matrix by availability, release date, language, country
+  // and rating certificate. every change reruns the pipeline (reaggregate)
+  // and animates bubbles to their new positions.
+
+  const filters = {
+    global   : "all",   // "Available Globally?": "all" | "Yes" | "No"
+    from     : "",      // release date lower bound (ISO yyyy-mm-dd, "" = open)
+    to       : "",      // release date upper bound
+    undated  : true,    // keep titles without a release date when a range is set
+    language : "all",   // OMDb_Language contains
+    country  : "all",   // OMDb_Country contains
+    rated    : "all"    // OMDb_Rated equals
+  };
+
+  // "English, Spanish" → ["English", "Spanish"]
+  const splitList = v => (v || "").split(",").map(s => s.trim()).filter(s => s && s !== "N/A");
+
+  function passesFilters(m) {
+    if (filters.global !== "all" && (m["Available Globally?"] || "").trim() !== filters.global) return false;
+
+    // ISO dates compare correctly as strings
+    const date = (m["Release Date"] || "").trim();
+    if (!date) {
+      if ((filters.from || filters.to) && !filters.undated) return false;
+    } else {
+      if (filters.from && date < filters.from) return false;
+      if (filters.to && date > filters.to) return false;
+      // time scrubber: only titles released by the end of the current month
+      if (timeMonth && date.slice(0, 7) > timeMonth) return false;
+    }
+
+    if (filters.language !== "all" && !splitList(m.OMDb_Language).includes(filters.language)) return false;
+    if (filters.country  !== "all" && !splitList(m.OMDb_Country).includes(filters.country)) return false;
+    if (filters.rated    !== "all" && (m.OMDb_Rated || "").trim() !== filters.rated) return false;
+    return true;
+  }
+
+  // number of filters that differ from the defaults (shown in the panel summary)
+  const activeFilterCount = () =>
+    ["global", "language", "country", "rated"].filter(k => filters[k] !== "all").length +
+    (filters.from || filters.to ? 1 : 0);
+
+  function initFilterPanel() {
+    const panel = d3.select(".filter-panel");
+    if (panel.empty()) return;
+
+    const rows = movieRows.kept;
+
+    // option lists from the data, most common first (multi-valued columns split)
+    const optionsFor = values => d3.rollups(values, v => v.length, d => d)
+      .sort((a, b) => d3.descending(a[1], b[1]))
+      .map(([value, count]) => ({ value, label: `${value} (${d3.format(",")(count)})` }));
+
+    const fillSelect = (id, options) => {
+      d3.select(`#${id}`).selectAll("option")
+        .data([{ value: "all", label: "All" }, ...options])
+        .join("option")
+        .attr("value", d => d.value)
+        .text(d => d.label);
+    };
+
+    fillSelect("filter-language", optionsFor(rows.flatMap(m => splitList(m.OMDb_Language))));
+    fillSelect("filter-country",  optionsFor(rows.flatMap(m => splitList(m.OMDb_Country))));
+    fillSelect("filter-rated",    optionsFor(rows.map(m => (m.OMDb_Rated || "").trim()).filter(v => v && v !== "N/A")));
+
+    // date inputs span the data's release dates
+    const dates = rows.map(m => (m["Release Date"] || "").trim()).filter(Boolean).sort();
+    d3.selectAll("#filter-from, #filter-to")
+      .attr("min", dates[0] || null)
+      .attr("max", dates[dates.length - 1] || null);
+
+    const status = d3.select("#filter-status");
+    const summaryCount = d3.select("#filter-count");
+
+    const onChange = () => {
+      filters.global   = d3.select("#filter-global").property("value");
+      filters.from     = d3.select("#filter-from").property("value");
+      filters.to       = d3.select("#filter-to").property("value");
+      filters.undated  = d3.select("#filter-undated").property("checked");
+      filters.language = d3.select("#filter-language").property("value");
+      filters.country  = d3.select("#filter-country").property("value");
+      filters.rated    = d3.select("#filter-rated").property("value");
+
+      reaggregate();
+
+      const matching = rows.filter(passesFilters).length;
+      const n = activeFilterCount();
+      summaryCount.text(n ? ` (${n})` : "");
+      status.text(`${d3.format(",")(matching)} of ${d3.format(",")(rows.length)} titles · ${genreData.length} genres`);
+    };
+
+    panel.selectAll("select, input").on("change", onChange);
+
+    d3.select("#filter-reset").on("click", () => {
+      panel.selectAll("select").property("value", "all");
+      panel.selectAll("input[type=date]").property("value", "");
+      d3.select("#filter-undated").property("checked", true);
+      onChange();
+    });
+
+    status.text(`${d3.format(",")(rows.length)} titles · ${genreData.length} genres`);
+  }
+
+  initFilterPanel();
+
+  /* ---------------------------- time scrubber ------------------------------ */
+  // replays the report window month by month: each step counts only titles
+  // released by the end of that month, so bubbles build up cumulatively.
+  // views stay the half-year totals — the scrubber changes which titles
+  // count, not their numbers. undated titles (mostly licensed catalog) and
+  // earlier releases count from the first month, unless the filter panel
+  // excludes undated titles.
+
+  // months covered by the engagement report (Jan–Jun 2025)
+  const REPORT_MONTHS = ["2025-01", "2025-02", "2025-03", "2025-04", "2025-05", "2025-06"];
+  const parseMonth = d3.timeParse("%Y-%m");
+  const formatMonth = m => d3.timeFormat("%B %Y")(parseMonth(m));  // "March 2025"
+  const shortMonth  = m => d3.timeFormat("%b")(parseMonth(m));     // "Mar"
+
+  let playTimer = null;  // pending step while playing
+
+  // show "Titles released through March 2025" beside the subtitle while scrubbing
+  function updateMonthStamp() {
+    const show = mode === "scatter" && timeMonth != null;
+    monthEl.attr("hidden", show ? null : "")
+      .text(show ? `Titles released through ${formatMonth(timeMonth)}` : "");
+  }
+
+  // move the matrix to a month (index into REPORT_MONTHS)
+  function setTimeMonth(i) {
+    timeMonth = REPORT_MONTHS[i];
+    d3.select("#time-scrub").property("value", i);
+    d3.select("#time-scrub-value").text(shortMonth(timeMonth));
+    updateMonthStamp();
+    reaggregate();
+  }
+
+  function stopTimePlayback() {
+    if (playTimer) clearTimeout(playTimer);
+    playTimer = null;
+    d3.select("#time-play").text("▶ Play").attr("aria-label", "Play release months");
+  }
+
+  // play: step through every month (from the start, unless paused midway)
+  function startTimePlayback() {
+    const current = REPORT_MONTHS.indexOf(timeMonth);
+    let i = current >= 0 && current < REPORT_MONTHS.length - 1 ? current : 0;
+
+    d3.select("#time-play").text("❚❚ Pause").attr("aria-label", "Pause release months");
+
+    const step = () => {
+      setTimeMonth(i);
+      if (++i < REPORT_MONTHS.length) playTimer = setTimeout(step, 1200);
+      else stopTimePlayback();
+    };
+    step();
+  }
+
+  function initTimeScrubber() {
+    const scrub = d3.select("#time-scrub");
+    if (scrub.empty()) return;
+
+    // starts at the last month: the full snapshot
+    scrub.attr("max", REPORT_MONTHS.length - 1).property("value", REPORT_MONTHS.length - 1);
+    d3.select("#time-scrub-value").text(shortMonth(REPORT_MONTHS[REPORT_MONTHS.length - 1]));
+
+    scrub.on("input", () => {
+      stopTimePlayback();
+      setTimeMonth(+scrub.property("value"));
+    });
+
+    d3.select("#time-play").on("click", () => {
+      if (playTimer) stopTimePlayback();
+      else startTimePlayback();
+    });
+  }
+
+  initTimeScrubber();
+
+  // report comparison picker: "None" + every report other than the current one
+  function initComparePicker() {
+    const sel = d3.select("#compare-report");
+    if (sel.empty()) return;
+
+    const others = Object.entries(REPORTS).filter(([key]) => key !== CURRENT_REPORT);
+    sel.selectAll("option")
+      .data([["", { label: "None" }], ...others])
+      .join("option")
+      .attr("value", ([key]) => key)
+      .text(([, def]) => def.label);
+
+    // a report whose CSV isn't there stays listed but can't be picked
+    // (its file is optional, see README), instead of ending in a load warning
+    others.forEach(([key, def]) => dataLayer.loadDataset(def.dataset).then(({ report }) => {
+      if (report.status === "ok") return;
+      sel.selectAll("option").filter(([k]) => k === key)
+        .property("disabled", true)
+        .attr("title", `${report.path} ${report.message}`)
+        .text(`${def.label} (not available)`);
+    }));
+
+    sel.on("change", () => setCompareReport(sel.property("value")));
+  }
+
+  initComparePicker();
+
+  /* --------------------------- bars (11 categories) ----------------------- */
+  // compact layout: long category labels break onto two lines, at the word
+  // boundary that keeps the longer line shortest
+  function wrapTickLabels(axisG, maxChars = 16) {
+    axisG.selectAll(".tick text").each(function () {
+      const text = d3.select(this);
+      const words = text.text().split(/\s+/);
+      if (text.text().length <= maxChars || words.length < 2) return;
+
+      const lines = d3.least(
+        d3.range(1, words.length).map(k => [words.slice(0, k).join(" "), words.slice(k).join(" ")]),
+        ([a, b]) => Math.max(a.length, b.length)
+      );
+      text.text(null);
+      lines.forEach((line, i) => text.append("tspan")
+        .attr("x", text.attr("x"))
+        .attr("dx", text.attr("dx"))
+        .attr("dy", i ? "1.1em" : "-0.55em")
+        .text(line));
+    });
+  }
+
+  // `token`: the scene change that asked for the bars (see beginScene); if a
+  // newer scene started while the CSV loaded, nothing is drawn
+  async function drawFearBars(token = sceneToken) {
+    hideFineNote();                         // bars do not show the fine note
+    await loadFearRows();
+    if (!isCurrentScene(token)) return;
+
+    setMode("bars");
+    tooltip.style("opacity", 0);
+
+    // clear layers, including legend (not used in bars)
+    gChart.selectAll("*").remove();
+    gAxis.selectAll("*").remove();
+    gLegend.selectAll("*").remove();
+    
     // explicitly remove the centered horror label if it exists
     svg.selectAll(".horror-center-label").remove();
 
-    // filter to canonical list, map to macro group, then count/sort
-    // ignore any non-canonical categories or blanks
-    const filtered = fearRows.filter(d => FEAR_SET.has((d.Fear_Category || "").trim()));
-    const groupedCounts = d3.rollups(
-      filtered,
-      v => v.length,
+    // show load errors / skipped rows; with no rows there is nothing to draw
+    updateDataPanel();
+    if (!fearRows.length) return;
+
+    // measure → sort (by the current bar metric)
+    // fearRows only holds the canonical 11 fear categories (see loadFearRows)
+    const counts = d3.rollups(
+      fearRows,
+      barStats,
+      d => (d.Fear_Category || "").trim()
+    )
+      .map(([fear, stats]) => ({ fear, ...stats }))
+      .sort((a, b) => d3.descending(a.value, b.value));
+
+    barsTable = {
+      name: "fear-categories",
+      rows: counts.map(d => ({
+        fear_category: d.fear,
+        display_name : getDisplayName(d.fear),
+        supergroup   : FEAR_GROUP_MAP.get(d.fear),
+        ...barColumns(d)
+      }))
+    };
+
+    // scales (horizontal bars: categories on Y, counts on X)
+    const leftForBars = layout.barLabelWidth;  // extra left padding for long category labels
+    const yBar = d3.scaleBand()
+      .domain(counts.map(d => d.fear))
+      .range([margin.top, height - margin.bottom])
+      .padding(0.18);
+
+    const xBar = d3.scaleLinear()
+      .domain([0, d3.max(counts, d => d.value) || 1]).nice()
+      .range([leftForBars, width - margin.right]);
+
+    // bars title
+    titleEl.text("What Are We Afraid of?");
+
+    // bars subtitle
+    subtitleEl.text("Horror titles from Netflix’s Most-Watched Movies (Jan–Jun 2025), divided into the main core fears represented in each film.");
+
+    // axes
+    const yAxis = gAxis.append("g")
+      .attr("class", "y-axis")
+      .attr("transform", `translate(${leftForBars}, 0)`)
+      .call(d3.axisLeft(yBar).tickSizeOuter(0).tickFormat(d => getDisplayName(d)));
+
+    yAxis.selectAll("text")
+      .attr("text-anchor", "end")
+      .attr("dx", "-0.4em")
+      .style("font-family", "Libre Baskerville, serif")
+      .style("font-size", `${layout.barLabelSize}px`)
+      .style("font-style", "italic")
+      .style("font-weight", "500")
+      .style("fill", "#333");
+    if (!layout.rail) wrapTickLabels(yAxis);
+
+    gAxis.append("g")
+      .attr("class", "x-axis")
+      .attr("transform", `translate(0, ${height - margin.bottom})`)
+      .call(d3.axisBottom(xBar).ticks(6).tickFormat(barMetricDef().tick));
+
+    // x-axis label
+    gAxis.append("text")
+      .attr("class", "x-label")
+      .attr("x", leftForBars + (width - leftForBars - margin.right) / 2)
+      .attr("y", height - margin.bottom + 50)
+      .attr("text-anchor", "middle")
+      .text(barMetricDef().axis);
+
+    // bars
+    gChart.selectAll("rect")
+      .data(counts, d => d.fear)
+      .join("rect")
+      .attr("x", leftForBars)
+      .attr("y", d => yBar(d.fear))
+      .attr("width", 0)
+      .attr("height", yBar.bandwidth())
+      .attr("class", "color-cat-1")
+      .transition().duration(motion.duration(600))
+      .attr("width", d => xBar(d.value) - leftForBars);
+
+    // tooltips
+    gChart.selectAll("rect")
+      .on("mouseover", (_, d) => {
+        const key = (d.fear || "").trim();
+        const displayName = getDisplayName(key);
+        const description = fearTaxonomy.description(key);
+        tooltip.style("opacity", 1).html(
+          `<strong>${displayName}</strong><br/>
+           ${barTooltip(d)}
+           <div style="font-size: 13px; line-height: 1.5; margin: 8px 0; color: #666;">${description}</div>`
+        );
+      })
+      .on("mousemove", (event) => {
+        tooltip.style("left", (event.clientX + 15) + "px")
+               .style("top",  (event.clientY + 15) + "px");
+      })
+      .on("mouseout", () => tooltip.style("opacity", 0));
+
+    // keyboard access + text equivalent
+    enableKeyboard(gChart.selectAll("rect"), barLabel);
+    enableTap(gChart.selectAll("rect"));
+    describeChart();
+
+    // keep a searched title highlighted across redraws
+    applySearchHighlight();
+  }
+
+  /* ---------------------------- bars focus ------------------------------ */
+  // dims bars based on their index position (similar to focusQuadrant for scatter)
+  // used to highlight specific bars (e.g., top 2) while dimming others
+  
+  function focusBars(focusCount = null) {
+    if (mode !== "bars") return;  // only works in bars mode
+    describeChart();
+    
+    // if focusCount is null or "none", remove all dimming
+    if (focusCount === null || focusCount === "none") {
+      gChart.selectAll("rect")
+        .classed("dimmed", false)
+        .style("pointer-events", "all");
+      return;
+    }
+    
+    // dim all bars except the first 'focusCount' bars
+    gChart.selectAll("rect")
+      .classed("dimmed", (d, i) => i >= focusCount)
+      .style("pointer-events", (d, i) => i >= focusCount ? "none" : "all");
+  }
+
+  /* ---------------------------- bars focus by supergroup ------------------------------ */
+  // dims bars except those belonging to a specific supergroup
+  // used to highlight categories within one thematic group
+  
+  function focusBarsBySupergroup(supergroupName = null) {
+    if (mode !== "bars") return;  // only works in bars mode
+    describeChart();
+    
+    // if supergroupName is null or "none", remove all dimming
+    if (supergroupName === null || supergroupName === "none") {
+      gChart.selectAll("rect")
+        .classed("dimmed", false)
+        .style("pointer-events", "all");
+      return;
+    }
+    
+    // dim all bars except those in the specified supergroup
+    gChart.selectAll("rect")
+      .classed("dimmed", d => {
+        const group = FEAR_GROUP_MAP.get(d.fear);
+        return group !== supergroupName;
+      })
+      .style("pointer-events", d => {
+        const group = FEAR_GROUP_MAP.get(d.fear);
+        return group !== supergroupName ? "none" : "all";
+      });
+  }
+
+  /* --------------------------- bars (supergroups) --------------------------- */
+  //   similar to drawFearBars but groups the 11 categories into 3 macro groups
+
+  // fearRows measured per supergroup (current bar metric), biggest first
+  // (fearRows is already limited to the canonical list, see loadFearRows)
+  function supergroupCounts() {
+    return d3.rollups(
+      fearRows || [],
+      barStats,
       d => FEAR_GROUP_MAP.get((d.Fear_Category || "").trim()) || "Unmapped"
     )
       .filter(([k]) => k !== "Unmapped")
-      .map(([group, count]) => ({ group, count }))
-      .sort((a, b) => d3.descending(a.count, b.count));
+      .map(([group, stats]) => ({ group, ...stats }))
+      .sort((a, b) => d3.descending(a.value, b.value));
+  }
+
+  // { name, rows } for the supergroup bars; also offered by the table
+  // download from any scene (see initExportControls)
+  const supergroupTable = counts => ({
+    name: "fear-supergroups",
+    rows: counts.map(d => ({
+      supergroup : d.group,
+      categories : (fearTaxonomy.groupCategories[d.group] || []).join("; "),
+      ...barColumns(d)
+    }))
+  });
+  async function drawFearBarsGrouped(token = sceneToken) {
+    hideFineNote();                         // hidden for bars
+    await loadFearRows();
+    if (!isCurrentScene(token)) return;
+
+    setMode("bars");
+    tooltip.style("opacity", 0);
+
+    // clear layers, including legend (not used in bars)
+    gChart.selectAll("*").remove();
+    gAxis.selectAll("*").remove();
+    gLegend.selectAll("*").remove();
+    
+    // explicitly remove the centered horror label if it exists
+    svg.selectAll(".horror-center-label").remove();
+
+    // show load errors / skipped rows; with no rows there is nothing to draw
+    updateDataPanel();
+    if (!fearRows.length) return;
+
+    // map to macro group, then measure/sort
+    const groupedCounts = supergroupCounts();
+    barsTable = supergroupTable(groupedCounts);
 
-    const leftForBars = 280;  // extra left padding for long category labels
+    const leftForBars = layout.barLabelWidth;  // extra left padding for long category labels
     const yBar = d3.scaleBand()
       .domain(groupedCounts.map(d => d.group))
       .range([margin.top, height - margin.bottom])
       .padding(0.28);
 
     const xBar = d3.scaleLinear()
-      .domain([0, d3.max(groupedCounts, d => d.count)]).nice()
+      .domain([0, d3.max(groupedCounts, d => d.value) || 1]).nice()
       .range([leftForBars, width - margin.right]);
 
     // bars title, same as ungrouped bars
@@ -811,15 +2487,16 @@ function focusHorror(on) {
     // only 3 bars → make labels a bit larger
     yAxis.selectAll("text")
       .style("font-family", "Libre Baskerville, serif")
-      .style("font-size", "15px")
+      .style("font-size", `${layout.barLabelSize}px`)
       .style("font-style", "italic")
       .style("font-weight", "500")
       .style("fill", "#333");
+    if (!layout.rail) wrapTickLabels(yAxis);
 
     gAxis.append("g")
       .attr("class", "x-axis")
       .attr("transform", `translate(0, ${height - margin.bottom})`)
-      .call(d3.axisBottom(xBar).ticks(6));
+      .call(d3.axisBottom(xBar).ticks(6).tickFormat(barMetricDef().tick));
 
     // x-axis label
     gAxis.append("text")
@@ -827,7 +2504,7 @@ function focusHorror(on) {
       .attr("x", leftForBars + (width - leftForBars - margin.right) / 2)
       .attr("y", height - margin.bottom + 50)
       .attr("text-anchor", "middle")
-      .text("Total movies");
+      .text(barMetricDef().axis);
 
     // bars
     gChart.selectAll("rect")
@@ -838,14 +2515,206 @@ function focusHorror(on) {
       .attr("width", 0)
       .attr("height", yBar.bandwidth())
       .attr("class", "color-cat-1")
-      .transition().duration(600)
-      .attr("width", d => xBar(d.count) - leftForBars);
+      .transition().duration(motion.duration(600))
+      .attr("width", d => xBar(d.value) - leftForBars);
 
     // tooltips
     gChart.selectAll("rect")
       .on("mouseover", (_, d) => {
         tooltip.style("opacity", 1).html(
-          `<strong>${d.group}</strong><br/>Total movies: ${d.count}`
+          `<strong>${d.group}</strong><br/>${barTooltip(d)}`
+        );
+      })
+      .on("mousemove", (event) => {
+        tooltip.style("left", (event.clientX + 15) + "px")
+               .style("top",  (event.clientY + 15) + "px");
+      })
+      .on("mouseout", () => tooltip.style("opacity", 0));
+
+    // keyboard access + text equivalent
+    enableKeyboard(gChart.selectAll("rect"), barLabel);
+    enableTap(gChart.selectAll("rect"));
+    describeChart();
+
+    // keep a searched title highlighted across redraws
+    applySearchHighlight();
+  }
+
+  /* ----------------------- fear × quadrant heatmap ------------------------ */
+  // which fears become crowd magnets and which stay cult gems: every horror
+  // title is placed in the Hit Matrix quadrants by its own IMDb rating and
+  // views, then counted per fear category (rows) and quadrant (columns).
+
+  // columns, in the matrix's reading order (top-left, top-right, bottom-left, bottom-right)
+  const HEATMAP_QUADRANTS = ["Crowd Magnets", "Prestige Powerhouses", "Cult Gems", "Critical Darlings"];
+
+  // the horror titles both title-level scenes place (heatmap, horror titles):
+  // views feed a log scale there, so a title needs a rating and positive views
+  function placeHorrorTitles() {
+    return dataLayer.filterRows(fearRows, [
+      { reason: "with no views or rating", invalid: d => !(toNumber(d.Views) > 0) || toNumber(d.OMDb_imdbRating) == null }
+    ]);
+  }
+
+  // crosshairs over the horror titles themselves ({ rating, views } each):
+  // the matrix's split rule applied title by title, since one title's views
+  // can't be held against genre totals
+  function horrorQuadrantSplit(titles) {
+    const rule = QUADRANT_SPLITS[quadrantSplitRule];
+    const rows = titles.map(t => ({ ...t, total_views: t.views }));  // "weighted" weighs by views
+    return { x: rule.fn(rows, t => t.rating), y: rule.fn(rows, t => t.views) };
+  }
+
+  // same corners as quadrantName(), for one title
+  function titleQuadrant(rating, views, split) {
+    const high = views > split.y, right = rating > split.x;
+    if (high) return right ? "Prestige Powerhouses" : "Crowd Magnets";
+    return right ? "Critical Darlings" : "Cult Gems";
+  }
+
+  async function drawFearHeatmap(token = sceneToken) {
+    hideFineNote();
+    await loadFearRows();
+    if (!isCurrentScene(token)) return;
+
+    setMode("heatmap");
+    tooltip.style("opacity", 0);
+
+    gChart.selectAll("*").remove();
+    gAxis.selectAll("*").remove();
+    gLegend.selectAll("*").remove();
+    svg.selectAll(".horror-center-label").remove();
+
+    // titles need a rating and views to be placed
+    const placed = placeHorrorTitles();
+    dataIssues.heatmap = [...dataIssues.bars, dataLayer.droppedIssue("Fear × quadrant", placed)].filter(Boolean);
+    updateDataPanel();
+    if (!placed.kept.length) return;
+
+    const titles = placed.kept.map(d => ({
+      fear  : d.Fear_Category.trim(),
+      rating: toNumber(d.OMDb_imdbRating),
+      views : toNumber(d.Views)
+    }));
+    const split = horrorQuadrantSplit(titles);
+    const counts = d3.rollup(titles, v => v.length, t => t.fear, t => titleQuadrant(t.rating, t.views, split));
+
+    // one cell per category × quadrant (empty cells included), with the row share
+    const fears = FEAR_CATEGORY_NAMES.filter(f => counts.has(f));
+    const cells = fears.flatMap(fear => {
+      const row = counts.get(fear);
+      const total = d3.sum(row.values());
+      return HEATMAP_QUADRANTS.map(quadrant => {
+        const count = row.get(quadrant) || 0;
+        return { fear, quadrant, count, total, share: count / total };
+      });
+    });
+
+    heatmapTable = {
+      name: "fear-quadrants",
+      rows: cells.map(d => ({
+        fear_category: d.fear,
+        display_name : getDisplayName(d.fear),
+        supergroup   : FEAR_GROUP_MAP.get(d.fear),
+        quadrant     : d.quadrant,
+        movies       : d.count,
+        row_share    : d.share
+      }))
+    };
+
+    // scales: categories down, quadrants across, color by row share
+    const leftForCells = layout.barLabelWidth;
+    const yCell = d3.scaleBand()
+      .domain(fears)
+      .range([margin.top, height - margin.bottom])
+      .padding(0.06);
+
+    const xCell = d3.scaleBand()
+      .domain(HEATMAP_QUADRANTS)
+      .range([leftForCells, width - margin.right])
+      .padding(0.06);
+
+    const maxShare = d3.max(cells, d => d.share) || 1;
+    const color = d3.scaleSequential([0, maxShare], d3.interpolateRgb("#f3ede6", "#4B2E39"));
+
+    const rule = QUADRANT_SPLITS[quadrantSplitRule];
+    titleEl.text("Where Do Our Fears Land?");
+    subtitleEl.text(`Horror titles by core fear and Hit Matrix quadrant, split at the ${rule.noun} title rating ` +
+                    `(${split.x.toFixed(1)}) and views (${formatSI(split.y)}). Shading: share of the fear's titles.`);
+
+    // rows: fear categories (same label styling as the bars)
+    const yAxis = gAxis.append("g")
+      .attr("class", "y-axis")
+      .attr("transform", `translate(${leftForCells}, 0)`)
+      .call(d3.axisLeft(yCell).tickSize(0).tickFormat(d => getDisplayName(d)));
+    yAxis.select(".domain").remove();
+
+    yAxis.selectAll("text")
+      .attr("text-anchor", "end")
+      .attr("dx", "-0.4em")
+      .style("font-family", "Libre Baskerville, serif")
+      .style("font-size", `${layout.barLabelSize}px`)
+      .style("font-style", "italic")
+      .style("font-weight", "500")
+      .style("fill", "#333");
+    if (!layout.rail) wrapTickLabels(yAxis);
+
+    // columns: quadrant names under the grid, one word per line
+    const columns = gAxis.append("g").attr("class", "x-axis");
+    columns.selectAll("text")
+      .data(HEATMAP_QUADRANTS)
+      .join("text")
+      .attr("class", "heatmap-column-label")
+      .attr("x", d => xCell(d) + xCell.bandwidth() / 2)
+      .attr("y", height - margin.bottom + 18)
+      .attr("text-anchor", "middle")
+      .selectAll("tspan")
+      .data(d => d.split(" "))
+      .join("tspan")
+      .attr("x", function () { return this.parentNode.getAttribute("x"); })
+      .attr("dy", (_, i) => i ? "1.1em" : 0)
+      .text(d => d);
+
+    gAxis.append("text")
+      .attr("class", "x-label")
+      .attr("x", leftForCells + (width - leftForCells - margin.right) / 2)
+      .attr("y", height - margin.bottom + 70)
+      .attr("text-anchor", "middle")
+      .text("Hit Matrix quadrant");
+
+    // cells
+    const cellG = gChart.selectAll("g.heatmap-cell")
+      .data(cells, d => `${d.fear}|${d.quadrant}`)
+      .join("g")
+      .attr("class", "heatmap-cell")
+      .attr("transform", d => `translate(${xCell(d.quadrant)}, ${yCell(d.fear)})`);
+
+    cellG.append("rect")
+      .attr("width", xCell.bandwidth())
+      .attr("height", yCell.bandwidth())
+      .attr("rx", 2)
+      .style("fill", "#f3ede6")
+      .transition().duration(motion.duration(600)).delay((_, i) => motion.duration(i * 8))
+      .style("fill", d => color(d.share));
+
+    // row share printed in the cell (light text on dark cells)
+    cellG.append("text")
+      .attr("class", "heatmap-value")
+      .attr("x", xCell.bandwidth() / 2)
+      .attr("y", yCell.bandwidth() / 2)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", "middle")
+      .style("fill", d => d.share > maxShare * 0.55 ? "#fbfaf8" : "#333")
+      .text(d => d.count ? d3.format(".0%")(d.share) : "");
+
+    // tooltips: count and row percentage
+    const rects = cellG.select("rect");
+    rects
+      .on("mouseover", (_, d) => {
+        tooltip.style("opacity", 1).html(
+          `<strong>${getDisplayName(d.fear)}</strong><br/>
+           ${d.quadrant}: ${d3.format(",")(d.count)} of ${d3.format(",")(d.total)} titles
+           (${d3.format(".1%")(d.share)} of the fear)`
         );
       })
       .on("mousemove", (event) => {
@@ -853,8 +2722,336 @@ function focusHorror(on) {
                .style("top",  (event.clientY + 15) + "px");
       })
       .on("mouseout", () => tooltip.style("opacity", 0));
+
+    enableKeyboard(rects, d => `${getDisplayName(d.fear)}, ${d.quadrant}: ${d.count} of ${d.total} titles (${d3.format(".0%")(d.share)})`);
+    enableTap(rects);
+    describeChart();
+  }
+
+  // bar metric picker: titles, views, hours, rating or share of horror views;
+  // the bars on screen regrow and re-sort under the new metric
+  function initBarMetricPicker() {
+    const metricSel = d3.select("#bar-metric");
+    if (metricSel.empty()) return;
+
+    metricSel.selectAll("option")
+      .data(Object.entries(BAR_METRICS))
+      .join("option")
+      .attr("value", ([key]) => key)
+      .text(([, def]) => def.label);
+    metricSel.property("value", barMetric);
+
+    metricSel.on("change", () => {
+      barMetric = metricSel.property("value");
+      if (mode === "bars") redrawBars();
+    });
+  }
+
+  initBarMetricPicker();
+
+  /* ------------------------------ data export ------------------------------ */
+  // downloads the table behind whatever is on screen (see export.js):
+  // scatter → genre aggregates with their quadrant, drill-down → the genre's
+  // titles, bars → fear or supergroup counts. keyword tables come from text.js.
+  // the chart itself can be saved as an SVG/PNG image.
+
+  // scatter rows: one per plotted genre, with the values on each axis and the
+  // quadrant it falls in under the current split rule
+  function genreTable() {
+    const split = quadrantSplit();
+    return genreData.map(d => ({
+      genre           : d.genre,
+      quadrant        : quadrantName(d, split),
+      movies          : d.count,
+      avg_imdb_rating : d.avg_imdb,
+      total_views     : d.total_views,
+      x_metric        : axisLabel("x"),
+      x_value         : xVal(d),
+      y_metric        : axisLabel("y"),
+      y_value         : yVal(d),
+      quadrant_split  : QUADRANT_SPLITS[quadrantSplitRule].label
+    }));
+  }
+
+  // drill-down rows: the titles plotted for the genre (same set as drawGenreTitles)
+  const genreTitlesTable = genre => exploded
+    .filter(t => t.genre === genre && t.views > 0)
+    .map(t => ({ title: t.title, year: t.year, genre: t.genre, imdb_rating: t.rating, views: t.views }));
+
+  // horror titles on screen (the isolated fear only, when one is)
+  function fearTitlesTable() {
+    const def = fearColorMode();
+    return fearTitles
+      .filter(t => isolatedFear === null || def.key(t) === isolatedFear)
+      .map(t => ({
+        title        : t.title,
+        year         : t.year,
+        fear_category: t.fear,
+        supergroup   : t.group,
+        imdb_rating  : t.rating,
+        views        : t.views,
+        quadrant     : t.quadrant
+      }));
+  }
+
+  // { name, rows } for the chart on screen (null when nothing is drawn)
+  function chartTable() {
+    if (mode === "scatter") return { name: "hit-matrix-genres", rows: genreTable() };
+    if (mode === "titles" && drillGenre) return { name: `${drillGenre}-titles`, rows: genreTitlesTable(drillGenre) };
+    if (mode === "bars") return barsTable;
+    if (mode === "heatmap") return heatmapTable;
+    if (mode === "fears") return { name: "horror-titles", rows: fearTitlesTable() };
+    return null;
+  }
+
+  function initExportControls() {
+    const tableSel = d3.select("#export-table");
+    if (tableSel.empty()) return;
+
+    // supergroup counts come from the fear rows, loaded on demand (the bar
+    // scenes draw the 11 categories, so the grouped table is never on screen)
+    const save = async format => {
+      const choice = tableSel.property("value");
+      if (choice === "supergroups") await loadFearRows();
+      const table = choice === "keywords"    ? { name: "horror-keywords", rows: window.keywordTable ? window.keywordTable() : [] }
+                  : choice === "supergroups" ? supergroupTable(supergroupCounts())
+                  : chartTable();
+      if (!table || !dataExport.downloadTable(table.name, table.rows, format)) {
+        updateDataPanel([{ level: "warning", title: "Nothing to download", detail: "The selected table has no rows yet." }]);
+      }
+    };
+
+    d3.select("#export-csv").on("click", () => save("csv"));
+    d3.select("#export-json").on("click", () => save("json"));
+
+    // chart image: the svg as drawn right now (any scene, zoomed or not),
+    // headed by the current title + subtitle (with the scrubber's month)
+    const imageHeader = () => ({
+      title: titleEl.text(),
+      subtitle: [subtitleEl.text(), monthEl.attr("hidden") == null ? monthEl.text() : ""].filter(Boolean).join(" · "),
+      background: getComputedStyle(document.body).backgroundColor
+    });
+    const imageName = () => [active?.dataset.scene || "hit-matrix", drillGenre].filter(Boolean).join("-");
+
+    d3.select("#export-svg").on("click", () =>
+      dataExport.downloadSVG(imageName(), svg.node(), imageHeader()));
+
+    // PNG sizes follow the chart's width, which follows its container:
+    // labelled at load and again whenever the picker is opened
+    const scaleSel = d3.select("#export-scale");
+    const labelScales = () => scaleSel.selectAll("option")
+      .text(function () { return `${this.value}× (${d3.format(",")(this.value * width)} px)`; });
+    labelScales();
+    scaleSel.on("focus pointerdown", labelScales);
+
+    d3.select("#export-png").on("click", () =>
+      dataExport.downloadPNG(imageName(), svg.node(), imageHeader(), +scaleSel.property("value"))
+        .catch(err => updateDataPanel([{ level: "warning", title: "PNG export failed", detail: `${err.message.replace(/\.$/, "")}.` }])));
+  }
+
+  initExportControls();
+
+  /* ---------------------------- accessibility ------------------------------ */
+  // every scene gets a text equivalent: a visually hidden table of the data
+  // on screen (the same rows the downloads use) and a plain-language summary,
+  // announced through a live region. bubbles, bars, heatmap cells and horror
+  // titles are keyboard-focusable and show their tooltip on focus.
+
+  const summaryEl = d3.select("#viz-summary");
+  const tableEl = d3.select("#viz-table");
+  let describeTimer = null;
+
+  // keyboard access for marks: tab stop, a short label, the tooltip on focus
+  // (its text becomes the label), Enter/Space act as a click
+  function enableKeyboard(marks, label) {
+    marks
+      .attr("tabindex", 0)
+      .attr("role", "img")
+      .attr("aria-label", label)
+      .on("focus.keyboard", function () {
+        d3.select(this).dispatch("mouseover");
+        const box = this.getBoundingClientRect();
+        tooltip.style("left", `${box.right + 8}px`).style("top", `${box.top}px`);
+        const text = tooltip.text().replace(/\s+/g, " ").trim();
+        if (text) this.setAttribute("aria-label", text);
+      })
+      .on("blur.keyboard", function () { d3.select(this).dispatch("mouseout"); })
+      .on("keydown.keyboard", function (event) {
+        if (event.key !== "Enter" && event.key !== " ") return;
+        event.preventDefault();
+        d3.select(this).dispatch("click");
+      });
+  }
+
+  // touch screens have no hover: the first tap on a mark shows its tooltip
+  // (the mark's own mouseover/mousemove handlers, replayed at the tap), a
+  // second tap on the same mark goes on to its click action, and a tap
+  // anywhere else hides the tooltip again
+  const hoverless = window.matchMedia ? window.matchMedia("(hover: none)") : null;
+  let tappedMark = null;
+
+  function enableTap(marks) {
+    marks.on("click.tap", function (event) {
+      if (!hoverless?.matches || tappedMark === this) { tappedMark = null; return; }
+      event.stopImmediatePropagation();  // keep the click action for the second tap
+      tappedMark = this;
+
+      const at = { clientX: event.clientX, clientY: event.clientY };
+      this.dispatchEvent(new MouseEvent("mouseover", at));
+      this.dispatchEvent(new MouseEvent("mousemove", at));
+
+      // keep the box on a narrow screen
+      const box = tooltip.node().getBoundingClientRect();
+      const left = Math.max(8, Math.min(event.clientX + 15, window.innerWidth - box.width - 8));
+      tooltip.style("left", `${left}px`);
+    }, true);  // capture: runs before the mark's own click handler
+  }
+
+  document.addEventListener("click", event => {
+    if (!tappedMark || event.target === tappedMark) return;
+    tappedMark.dispatchEvent(new MouseEvent("mouseout"));
+    tappedMark = null;
+  }, true);
+
+  // "average rating", "total views", ...
+  const axisPhrase = axis => {
+    const { metric, agg } = scatterMetrics[axis];
+    return `${AGGREGATIONS[agg].label} ${SCATTER_METRICS[metric].short}`.toLowerCase();
+  };
+
+  // "Horror: 600 titles, average rating 5.74, below average on rating, above on views"
+  function genreSentence(d, split) {
+    const noun = QUADRANT_SPLITS[quadrantSplitRule].noun;
+    const hx = xVal(d) > split.x, hy = yVal(d) > split.y;
+    const position = hx === hy
+      ? `${hx ? "above" : "below"} ${noun} on both axes`
+      : `${hx ? "above" : "below"} ${noun} on ${xMetricDef().short.toLowerCase()}, ${hy ? "above" : "below"} on ${yMetricDef().short.toLowerCase()}`;
+    return `${d.genre}: ${d3.format(",")(d.count)} titles, ${axisPhrase("x")} ${xMetricDef().brief(xVal(d))}, ${position}`;
+  }
+
+  function scatterSummary() {
+    if (!genreData.length) return "No genres to plot.";
+
+    const split = quadrantSplit();
+    const lead = `${titleEl.text()}: ${genreData.length} genres by ${axisPhrase("x")} and ${axisPhrase("y")}` +
+                 (timeMonth ? `, titles released through ${formatMonth(timeMonth)}.` : ".");
+
+    if (isHorrorZoomed) {
+      const horror = genreData.find(d => d.genre.toLowerCase() === "horror");
+      return `${lead} Zoomed in on horror. ${horror ? genreSentence(horror, split) + "." : ""}`;
+    }
+
+    // highlighted genres when a scene dims the rest, otherwise the largest ones
+    const lit = gChart.selectAll(".genre-bubble:not(.dimmed)").data();
+    const shown = lit.length && lit.length < genreData.length
+      ? `Highlighted: ${lit.map(d => genreSentence(d, split)).join("; ")}.`
+      : `Largest by ${yMetricDef().short.toLowerCase()}: ${labeledGenres().slice(0, 3).map(d => genreSentence(d, split)).join("; ")}.`;
+    return `${lead} ${shown}`;
+  }
+
+  function barsSummary() {
+    const bars = gChart.selectAll("rect").data();
+    if (!bars.length) return "No fear categories to show.";
+
+    const name = d => d.fear ? getDisplayName(d.fear) : d.group;
+    const def = barMetricDef();
+    const list = rows => rows.map(d => `${name(d)} (${def.format(d.value)})`).join(", ");
+    const kind = bars[0].fear ? "fear categories" : "fear supergroups";
+    const lit = gChart.selectAll("rect:not(.dimmed)").data();
+    const lead = barMetric === "count" ? "Most common" : `Highest ${def.label.toLowerCase()}`;
+
+    return `${titleEl.text()}: ${bars.length} ${kind} across ${d3.format(",")(d3.sum(bars, d => d.count))} classifications. ` +
+           (lit.length < bars.length ? `Highlighted: ${list(lit)}.` : `${lead}: ${list(bars.slice(0, 3))}.`);
+  }
+
+  function heatmapSummary() {
+    const rows = heatmapTable?.rows || [];
+    if (!rows.length) return "No horror titles to place in the Hit Matrix.";
+
+    // for each quadrant, the fear most likely to land there
+    const leaders = HEATMAP_QUADRANTS.map(quadrant => {
+      const top = d3.greatest(rows.filter(d => d.quadrant === quadrant && d.movies), d => d.row_share);
+      return top ? `${quadrant}: ${top.display_name} (${d3.format(".0%")(top.row_share)})` : `${quadrant}: none`;
+    });
+    return `${titleEl.text()}: ${d3.format(",")(d3.sum(rows, d => d.movies))} horror titles by fear category and Hit Matrix quadrant. ` +
+           `Fear most likely in each quadrant: ${leaders.join("; ")}.`;
+  }
+
+  function fearsSummary() {
+    const titles = fearTitlesTable();
+    if (!titles.length) return "No horror titles to show.";
+
+    const def = fearColorMode();
+    const top = d3.greatest(titles, d => d.views);
+    const lead = isolatedFear === null
+      ? `${titles.length} horror titles by IMDb rating and views, colored by ${def.legend.toLowerCase()}`
+      : `${titles.length} ${def.name(isolatedFear)} titles by IMDb rating and views`;
+    const counts = d3.rollups(titles, v => v.length, d => d.quadrant)
+      .map(([quadrant, n]) => `${quadrant} ${n}`);
+    return `${titleEl.text()}: ${lead}. By quadrant: ${counts.join(", ")}. ` +
+           `Most viewed: ${top.title} (${formatSI(top.views)} views).`;
+  }
+
+  function titlesSummary() {
+    const titles = genreTitlesTable(drillGenre);
+    if (!titles.length) return `${drillGenre}: no titles to show.`;
+
+    const top = (key, fmt) => {
+      const t = d3.greatest(titles.filter(d => Number.isFinite(d[key])), d => d[key]);
+      return t ? `${t.title} (${fmt(t[key])})` : "not available";
+    };
+    return `${drillGenre}: ${titles.length} titles by IMDb rating and views. ` +
+           `Highest rated: ${top("imdb_rating", v => v.toFixed(1))}. Most viewed: ${top("views", v => `${formatSI(v)} views`)}.`;
+  }
+
+  // "avg_imdb_rating" → "Avg imdb rating"
+  const columnLabel = key => key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, " ");
+
+  // write the summary (live region) and the data table for the current scene
+  function renderDescription() {
+    const summary = mode === "scatter" ? scatterSummary()
+                  : mode === "bars"    ? barsSummary()
+                  : mode === "heatmap" ? heatmapSummary()
+                  : mode === "fears"   ? fearsSummary()
+                  : mode === "titles"  ? titlesSummary()
+                  : "";
+    if (summaryEl.text() !== summary) summaryEl.text(summary);
+
+    const table = chartTable();
+    const rows = table?.rows || [];
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+
+    tableEl.select("caption").text(rows.length ? `Data shown in the chart: ${titleEl.text()}` : "");
+    tableEl.select("thead").selectAll("tr").data(columns.length ? [columns] : []).join("tr")
+      .selectAll("th").data(d => d).join("th").attr("scope", "col").text(columnLabel);
+    tableEl.select("tbody").selectAll("tr").data(rows).join("tr")
+      .selectAll("td").data(row => columns.map(c => row[c])).join("td")
+      .text(v => typeof v === "number" && !Number.isInteger(v) ? v.toFixed(2) : v ?? "");
+  }
+
+  // scene changes run several draw/focus steps in a row; describe once they settle
+  function describeChart() {
+    clearTimeout(describeTimer);
+    describeTimer = setTimeout(renderDescription, 400);
+  }
+
+  // "Animations" toggle: mirrors the motion policy; disabled (and unchecked)
+  // when the system asks for reduced motion, since that always wins
+  function initMotionToggle() {
+    const toggle = d3.select("#motion-toggle");
+    if (toggle.empty()) return;
+
+    toggle.on("change", function () { motion.setAnimations(this.checked); });
+    motion.onChange(reduced => {
+      toggle
+        .property("checked", !reduced)
+        .property("disabled", motion.systemReduced())
+        .attr("title", motion.systemReduced() ? "Your system settings ask for reduced motion" : null);
+    });
   }
 
+  initMotionToggle();
+
   /* ------------------------- title utility (per step) --------------------- */
   // updates the chart title based on the active card's data-title attribute.
   // exception: when in bars mode, the title is managed by the bar-drawing functions
@@ -901,207 +3098,279 @@ function focusHorror(on) {
     if (methodologyBtn) methodologyBtn.style.display = "none";
   }
 
-  /* ------------------------------- router --------------------------------- */
-  // the router is the heart of the scrollytelling logic: it receives a scene name
-  // (from a card's data-scene attribute) and orchestrates the visual transition.
-  // 
-  // scene types:
-  //   "baseline"      : draw scatter chart, then overlay quadrants (first card behavior)
-  //   "quadrants"     : alias for baseline (ensures scatter + quadrants are visible)
-  //   "high-views"    : highlight only genres above the mean views line (crowd magnets + prestige)
-  //   "critical-darlings" : highlight only bottom-right quadrant (high rating, low views)
-  //   "horror"        : keep scatter + quadrants, but dim all non-horror bubbles
-  //   "bars"          : crossfade from scatter to the 11-category fear bar chart
-  //   "bars_grouped"  : crossfade to the 3-supergroup fear bar chart
-  //   "grouped"       : alias for bars_grouped
-  //   "noop"          : do nothing—copy-only card that doesn't change the viz
+  /* ---------------------------- scene registry ----------------------------- */
+  // every data-scene value a card can use, declared as data. go() reads the
+  // entry and does the rest, so adding a scene means adding an entry here.
   //
-  // each scene manages:
-  //   1. what to draw (scatter vs bars)
-  //   2. what overlays to add/remove (quadrants, focus effects)
-  //   3. transitions (crossfades, dimming)
+  //   chart       : "scatter" | "bars" | "heatmap" | "fears" — the chart the scene needs on screen
+  //                 (no chart = copy-only card: the viz is left as it is)
+  //   focus       : scatter → "none" | "high-views" | "critical-darlings" |
+  //                 "horror" | "horror-zoom"
+  //                 bars    → null (all bars) | a supergroup name (dims the rest)
+  //                 heatmap → null
+  //                 fears   → null
+  //   title       : chart title (a card's data-title still wins)
+  //   subtitle    : chart subtitle (a card's data-subtitle still wins);
+  //                 bar, heatmap and fears scenes leave it to their drawing functions
+  //   fineNote    : show the fine-print note under the chart
+  //   methodology : show the methodology button
+  //   enter/exit  : optional hooks, run once the scene is set up / before the
+  //                 next scene takes over
+
+  const SCATTER_SUBTITLE = subtitleEl.text();  // the page's default subtitle (index.html)
+
+  const SCENES = {
+    // initial scatter with quadrants (first card)
+    baseline: {
+      chart: "scatter", focus: "none",
+      title: "The Hit Matrix", subtitle: SCATTER_SUBTITLE, fineNote: true, methodology: false
+    },
+    // alias for baseline (kept for semantic clarity)
+    quadrants: {
+      chart: "scatter", focus: "none",
+      title: "The Hit Matrix", subtitle: SCATTER_SUBTITLE, fineNote: true, methodology: false
+    },
+    // only genres above the views split (crowd magnets + prestige)
+    "high-views": {
+      chart: "scatter", focus: "high-views",
+      title: "The Hit Matrix", subtitle: SCATTER_SUBTITLE, fineNote: true, methodology: false
+    },
+    // only the bottom-right quadrant (high rating, low views)
+    "critical-darlings": {
+      chart: "scatter", focus: "critical-darlings",
+      title: "The Hit Matrix", subtitle: SCATTER_SUBTITLE, fineNote: true, methodology: false
+    },
+    // every bubble but horror dimmed (cult corner)
+    horror: {
+      chart: "scatter", focus: "horror",
+      title: "Horror in the Hit Matrix", subtitle: SCATTER_SUBTITLE, fineNote: true, methodology: false
+    },
+    // zoomed into the horror bubble, everything else hidden
+    "horror-zoom": {
+      chart: "scatter", focus: "horror-zoom",
+      title: "Horror in the Hit Matrix", subtitle: SCATTER_SUBTITLE, fineNote: false, methodology: false
+    },
+    // the horror bubble burst into its titles, colored by fear
+    // (title, subtitle set by drawHorrorTitles)
+    "horror-titles": {
+      chart: "fears", focus: null,
+      title: "Horror, Title by Title", fineNote: false, methodology: true
+    },
+    // fear category × Hit Matrix quadrant (title, subtitle set by drawFearHeatmap)
+    "fear-quadrants": {
+      chart: "heatmap", focus: null,
+      title: "Where Do Our Fears Land?", fineNote: false, methodology: true
+    },
+    // the 11-category fear bar chart
+    bars: {
+      chart: "bars", focus: null,
+      title: "What Are We Afraid of?", fineNote: false, methodology: true
+    },
+    // copy-only card: no visual change
+    noop: {}
+  };
 
-  function go(scene) {
-    // BASELINE: initial scatter view with quadrants
-    // this is typically triggered by the first narrative card
-    if (scene === "baseline") {
-      hideMethodologyBtn();  // hide button for scatter scenes
-      // restore from horror-zoom if coming back from that scene
-      restoreFromHorrorZoom();
-      
-      // if we're not already showing a scatter, draw it fresh
-      if (mode !== "scatter") {
-        titleEl.text("The Hit Matrix");    // set the scatter title
-        drawScatter();                     // draws bubbles, axes, legend; shows fine note
-      } else {
-        showFineNote();                    // if already in scatter, just ensure note is visible
-      }
-      // now overlay the quadrants (mean lines + corner labels)
-      // addQuadrantsIfNeeded() is idempotent—it only adds them once
-      addQuadrantsIfNeeded();
-      // unfocus horror if we're scrolling back from a horror scene
-      if (isHorrorFocused) focusHorror(false);
-      // remove any quadrant focus
-      focusQuadrant("none");
-    }
-    
-    // QUADRANTS: alias for baseline (kept for semantic clarity)
-    else if (scene === "quadrants") {
-      hideMethodologyBtn();  // hide button for scatter scenes
-      // restore from horror-zoom if coming back from that scene
-      restoreFromHorrorZoom();
-      
-      // ensure scatter is drawn, then add quadrants
-      if (mode !== "scatter") drawScatter();
-      showFineNote();                      // scatter always shows the fine note
-      addQuadrantsIfNeeded();              // overlay quadrant guides
-      // unfocus horror if we're scrolling back from a horror scene
-      if (isHorrorFocused) focusHorror(false);
-      // remove any quadrant focus
-      focusQuadrant("none");
-    }
-    
-    // HIGH-VIEWS: highlight only genres above the mean views line
-    else if (scene === "high-views") {
-      hideMethodologyBtn();  // hide button for scatter scenes
-      // restore from horror-zoom if coming back from that scene
-      restoreFromHorrorZoom();
-      
-      // ensure scatter is present with quadrants
-      if (mode !== "scatter") drawScatter();
-      showFineNote();
-      addQuadrantsIfNeeded();
-      // remove horror focus if active
-      if (isHorrorFocused) focusHorror(false);
-      // apply high-views focus
-      focusQuadrant("high-views");
-    }
-    
-    // CRITICAL-DARLINGS: highlight only bottom-right quadrant (high rating, low views)
-    else if (scene === "critical-darlings") {
-      hideMethodologyBtn();  // hide button for scatter scenes
-      // restore from horror-zoom if coming back from that scene
-      restoreFromHorrorZoom();
-
-      // ensure scatter is present with quadrants
-      if (mode !== "scatter") drawScatter();
-      showFineNote();
-      addQuadrantsIfNeeded();
-      
-      // IMPORTANT: apply critical-darlings focus
-      focusQuadrant("critical-darlings");
-    }
-    
-    // HORROR: keep scatter + quadrants, but focus only on the horror bubble (cult corner)
-    else if (scene === "horror") {
-      hideMethodologyBtn();  // hide button for scatter scenes
-      // restore from horror-zoom if coming back from that scene
-      restoreFromHorrorZoom();
-
-      // ensure scatter is present (in case we jumped directly to this card)
-      if (mode !== "scatter") drawScatter();
-      showFineNote();                      // scatter always shows the fine note
-      addQuadrantsIfNeeded();              // ensure quadrants are visible
-
-      // remove any previous quadrant focus first
-      focusQuadrant("none");
-      // use focusHorror to dim everything except horror AND update title
-      focusHorror(true);
-    }
-    
-    // HORROR-ZOOM: zoom into horror bubble, hide all others, make horror big and black
-    else if (scene === "horror-zoom") {
-      hideMethodologyBtn();  // hide button for scatter scenes
-      // ensure scatter is present (in case we jumped directly to this card)
-      if (mode !== "scatter") {
-        drawScatter();
-        addQuadrantsIfNeeded();
-      }
-      hideFineNote();                      // hide the fine note for this scene
-      zoomToHorror();                      // apply the zoom effect
-      // title is set by applyStepTitle() from data-title="Horror in the Hit Matrix"
-    }
-    
-    // BARS: transition from scatter to the 11-category fear bar chart
-    else if (scene === "bars") {
-      showMethodologyBtn();  // show button for bar scenes
-      // if already in bars mode, just remove any focus
-      if (mode === "bars") {
-        focusBars(null);  // remove any dimming
-      } else {
-        // fade out the current scatter layers (chart, axes, legend)
-        // after fade completes, draw the bar chart, then fade it in
-        crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, () => {
-          drawFearBars();                    // draws 11-category bars, hides fine note
-          crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);  // legend not needed for bars
-        });
-      }
-    }
-    
-    // BARS_PSYCHOLOGICAL: focus on "Psychological & Domestic Horrors" supergroup
-    else if (scene === "bars_psychological") {
-      showMethodologyBtn();  // show button for bar scenes
-      if (mode === "bars") {
-        focusBarsBySupergroup("Psychological & Domestic Horrors");
-      } else {
-        crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, () => {
-          drawFearBars();
-          crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);
-          setTimeout(() => focusBarsBySupergroup("Psychological & Domestic Horrors"), 300);
-        });
-      }
-    }
-    
-    // BARS_BODY: focus on "The Body as Battleground" supergroup
-    else if (scene === "bars_body") {
-      showMethodologyBtn();  // show button for bar scenes
-      if (mode === "bars") {
-        focusBarsBySupergroup("The Body as Battleground");
-      } else {
-        crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, () => {
-          drawFearBars();
-          crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);
-          setTimeout(() => focusBarsBySupergroup("The Body as Battleground"), 300);
-        });
-      }
+  // "bars_<id>": the fear bars focused on one supergroup. ids come from
+  // taxonomy.js (bars_societal, bars_body, ...), so regrouping fears needs no
+  // change here
+  fearTaxonomy.SUPERGROUPS.forEach(group => {
+    SCENES[`bars_${group.id}`] = { ...SCENES.bars, focus: group.name };
+  });
+
+  /* --------------------------- scene transitions ---------------------------- */
+  // fast scrolling can request a new scene while the last one is still
+  // animating. each scene change gets a token; work a scene leaves for later
+  // (crossfade callbacks, follow-up timers, the bars' CSV load) checks it and
+  // drops out once a newer scene has started, so the chart always settles on
+  // the last requested scene.
+
+  let sceneToken = 0;
+  const sceneTimers = new Set();  // pending sceneAfter() timers
+  let crossfading = false;        // a crossfade between charts hasn't finished
+
+  const isCurrentScene = token => token === sceneToken;
+
+  // stop a crossfade midway and bring its layers back, so the next scene
+  // doesn't start from half-transparent (or hidden) axes and marks
+  function cancelCrossfade() {
+    if (!crossfading) return;
+    crossfading = false;
+    d3.select(document.documentElement).interrupt("crossfade");
+    [gChart, gAxis, gLegend].forEach(g => g.interrupt("crossfade").style("opacity", 1));
+  }
+
+  // start a scene change: cancels whatever the previous one still had pending
+  function beginScene() {
+    sceneToken += 1;
+    sceneTimers.forEach(timer => timer.stop());
+    sceneTimers.clear();
+    cancelCrossfade();
+    return sceneToken;
+  }
+
+  // motion.after() bound to a scene: skipped if a newer scene started first
+  function sceneAfter(token, ms, fn) {
+    const timer = motion.after(ms, () => {
+      sceneTimers.delete(timer);
+      if (isCurrentScene(token)) fn();
+    });
+    sceneTimers.add(timer);
+  }
+
+  /* ------------------------------- router --------------------------------- */
+  // receives a scene name (from a card's data-scene attribute) and moves the
+  // chart there: draws the chart type if it isn't on screen, applies the
+  // scene's focus, then its title/subtitle, fine note and methodology button.
+
+  let currentScene = null;  // registry entry of the scene on screen
+
+  // scatter scenes: make sure the scatter (with quadrants) is drawn, undo
+  // whatever the previous scene left (zoom, horror dimming), apply the focus
+  function enterScatter(focus) {
+    if (focus !== "horror-zoom") restoreFromHorrorZoom();
+    if (mode !== "scatter") drawScatter();
+    addQuadrantsIfNeeded();  // idempotent—only adds them once
+
+    if (focus === "horror-zoom") {
+      zoomToHorror();
+      return;
     }
-    
-    // BARS_SOCIETAL: focus on "Societal & Structural Horrors" supergroup
-    else if (scene === "bars_societal") {
-      showMethodologyBtn();  // show button for bar scenes
-      if (mode === "bars") {
-        focusBarsBySupergroup("Societal & Structural Horrors");
-      } else {
-        crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, () => {
-          drawFearBars();
-          crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);
-          setTimeout(() => focusBarsBySupergroup("Societal & Structural Horrors"), 300);
-        });
-      }
+    if (isHorrorFocused && focus !== "horror") focusHorror(false);
+    focusQuadrant(focus === "horror" ? "none" : focus);
+    if (focus === "horror") focusHorror(true);
+  }
+
+  // bar scenes: refocus in place when the bars are up, otherwise crossfade
+  // from whatever is drawn and focus once the bars have grown
+  function enterBars(focus, token) {
+    const applyFocus = () => focus ? focusBarsBySupergroup(focus) : focusBars(null);
+
+    if (mode === "bars") {
+      applyFocus();
+      return;
     }
-    
-    // BARS_COSMIC: focus on "Cosmic & Moral Reckonings" supergroup
-    else if (scene === "bars_cosmic") {
-      showMethodologyBtn();  // show button for bar scenes
-      if (mode === "bars") {
-        focusBarsBySupergroup("Cosmic & Moral Reckonings");
-      } else {
-        crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, () => {
-          drawFearBars();
-          crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);
-          setTimeout(() => focusBarsBySupergroup("Cosmic & Moral Reckonings"), 300);
-        });
-      }
+    crossfading = true;
+    crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, async () => {
+      if (!isCurrentScene(token)) return;
+      await drawFearBars(token);                           // draws 11-category bars, hides fine note
+      if (!isCurrentScene(token)) return;
+      crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);   // legend not needed for bars
+      sceneAfter(token, 260, () => { crossfading = false; });
+      if (focus) sceneAfter(token, 300, applyFocus);
+    });
+  }
+
+  // redraw the bars on screen in place (same variant, same scene focus),
+  // after a resize or a bar metric change
+  async function redrawBars() {
+    const token = sceneToken;
+    await (barsTable?.name === "fear-supergroups" ? drawFearBarsGrouped : drawFearBars)(token);
+    if (isCurrentScene(token) && currentScene?.chart === "bars") enterBars(currentScene.focus, token);
+  }
+
+  // heatmap scene: crossfade from whatever is drawn (nothing to focus)
+  function enterHeatmap(_, token) {
+    if (mode === "heatmap") return;
+    crossfading = true;
+    crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, async () => {
+      if (!isCurrentScene(token)) return;
+      await drawFearHeatmap(token);
+      if (!isCurrentScene(token)) return;
+      crossfadeIn([gChart, gAxis], 260, d3.easeCubicIn);
+      sceneAfter(token, 260, () => { crossfading = false; });
+    });
+  }
+
+  // horror titles scene: straight from the zoomed horror bubble the bubble
+  // bursts into its titles; from anywhere else, crossfade. arriving always
+  // starts with every fear shown
+  function enterFears(_, token) {
+    if (mode === "fears") return;
+    isolatedFear = null;
+    if (mode === "scatter" && isHorrorZoomed) {
+      drawHorrorTitles(token, { burst: true });
+      return;
     }
-    
-    // NOOP: copy-only card—no visual change, keep current viz/legend/note state
-    // useful for cards that provide narrative context without altering the chart
-    else {
-      // intentionally empty—do nothing
+    crossfading = true;
+    crossfadeOut([gChart, gAxis, gLegend], 220, d3.easeCubicOut, async () => {
+      if (!isCurrentScene(token)) return;
+      await drawHorrorTitles(token);
+      if (!isCurrentScene(token)) return;
+      crossfadeIn([gChart, gAxis, gLegend], 260, d3.easeCubicIn);
+      sceneAfter(token, 260, () => { crossfading = false; });
+    });
+  }
+
+  const CHARTS = { scatter: enterScatter, bars: enterBars, heatmap: enterHeatmap, fears: enterFears };
+
+  function go(scene) {
+    const def = SCENES[scene];
+    if (!def) {
+      console.warn(`Unknown scene "${scene}": add it to SCENES in app.js (known: ${Object.keys(SCENES).join(", ")})`);
+      return;
     }
+    if (!def.chart) return;  // copy-only card: keep the current viz
+
+    const token = beginScene();
+    currentScene?.exit?.();
+    currentScene = def;
+
+    def.methodology ? showMethodologyBtn() : hideMethodologyBtn();
+    CHARTS[def.chart](def.focus, token);
+
+    if (def.title) titleEl.text(def.title);
+    if (def.subtitle) subtitleEl.text(def.subtitle);
+    def.fineNote ? showFineNote() : hideFineNote();
+
+    def.enter?.();
   }
 
+  /* ---------------------------- responsive redraw -------------------------- */
+  // when the svg's width changes (window resize, rotation, crossing the
+  // compact breakpoint), re-measure and redraw whatever is on screen at the
+  // new size: the scatter with its overlays and zoom, the bars with the
+  // scene's focus, the heatmap, the horror titles (keeping an isolated fear)
+  // or the drill-down's titles. height-only changes (a phone's
+  // address bar sliding away) leave the chart alone.
+
+  let resizeTimer = null;
+
+  async function resizeChart() {
+    const before = width;
+    measureChart();
+    if (width === before) return;
+
+    x.range([margin.left, width - margin.right]);
+    y.range([height - margin.bottom, margin.top]);
+    r.range(layout.radius);
+    tooltip.style("opacity", 0);
+
+    if (mode === "scatter") {
+      refreshScatter();
+    } else if (mode === "bars") {
+      await redrawBars();
+    } else if (mode === "heatmap") {
+      await drawFearHeatmap();
+    } else if (mode === "fears") {
+      await drawHorrorTitles();
+    } else if (mode === "titles" && drillGenre) {
+      // move the axes to the new frame, then re-run the title layout
+      gAxis.select(".x-axis").attr("transform", `translate(0, ${height - margin.bottom})`);
+      gAxis.select(".y-axis").attr("transform", `translate(${margin.left}, 0)`);
+      gAxis.select(".x-label")
+        .attr("x", margin.left + (width - margin.left - margin.right) / 2)
+        .attr("y", height - margin.bottom + 50);
+      gAxis.select(".y-label")
+        .attr("x", -(margin.top + (height - margin.top - margin.bottom) / 2))
+        .attr("y", Math.max(16, margin.left - 60));
+      drawGenreTitles(drillGenre, [width / 2, height / 2]);
+    }
+  }
 
+  window.addEventListener("resize", () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(resizeChart, 200);
+  });
 
   /* ----------------------- scrollytelling engine -------------------------- */
   // this section orchestrates the scroll-driven narrative:
@@ -1154,7 +3423,8 @@ function focusHorror(on) {
   // this function is called on scroll, resize, and when the chart becomes armed.
   function setActiveByCenter() {
     // bail out if the chart isn't in view—no point in changing scenes
-    if (!armed) return;
+    // (or while jumping to a linked card, so the cards we pass don't activate)
+    if (!armed || jumping) return;
 
     // the "activation line" is the vertical center of the viewport
     const mid = window.innerHeight / 2;
@@ -1180,27 +3450,149 @@ function focusHorror(on) {
     });
 
     // if we found a closest card, and it's different from the current active card...
-    if (best && best !== active) {
-      // remove the visual highlight from the previously active card
-      if (active) active.classList.remove("is-active");
-      
-      // update our reference to the new active card
-      active = best;
-      
-      // add visual highlight to the newly active card (CSS can style .is-active)
-      active.classList.add("is-active");
+    if (best && best !== active) activateStep(best);
+  }
 
-      // apply the card's metadata (title, subtitle, effects) before drawing
-      applyStepTitle(active);               // update title if data-title is set
-      applyStepSubtitle(active);            // update subtitle if data-subtitle is set
-      applyStepFX(active);                  // reserved for future effects (data-fx)
-      
-      // finally, trigger the scene change by reading data-scene and calling go()
-      // if no data-scene, default to "noop" (no visual change, copy-only card)
-      go(active.getAttribute("data-scene") || "noop");
-    }
+  // make a card the active one and render its scene
+  function activateStep(step) {
+    // remove the visual highlight from the previously active card
+    if (active) active.classList.remove("is-active");
+    
+    // update our reference to the new active card
+    active = step;
+    
+    // add visual highlight to the newly active card (CSS can style .is-active)
+    active.classList.add("is-active");
+
+    applyStepFX(active);                  // reserved for future effects (data-fx)
+
+    // trigger the scene change by reading data-scene and calling go()
+    // if no data-scene, default to "noop" (no visual change, copy-only card)
+    const scene = active.getAttribute("data-scene") || "noop";
+    go(scene);
+
+    // then the card's own metadata, which overrides the scene's title/subtitle
+    applyStepTitle(active);               // update title if data-title is set
+    applyStepSubtitle(active);            // update subtitle if data-subtitle is set
+    mirrorSceneToHash(scene);
+    updateStepNav();
+  }
+
+  /* ------------------------------ deep links ------------------------------- */
+  // the active scene is mirrored into the URL hash (#scene=bars_body), one
+  // history entry per scene, so back/forward step between scenes. opening a
+  // link (or moving through history) scrolls to that card and renders its
+  // scene directly. copy-only cards keep the previous scene's hash.
+
+  let jumping = false;  // true while scrolling to a linked card
+
+  const sceneFromHash = () => new URLSearchParams(location.hash.slice(1)).get("scene");
+  const stepForScene = scene => steps.find(el => el.getAttribute("data-scene") === scene) || null;
+
+  function mirrorSceneToHash(scene) {
+    if (scene === "noop" || sceneFromHash() === scene) return;
+    const url = `#scene=${encodeURIComponent(scene)}`;
+    // the first scene replaces the bare URL, so back still leaves the page
+    if (sceneFromHash()) history.pushState(null, "", url);
+    else history.replaceState(null, "", url);
+  }
+
+  // scroll a card to the center and render it (deep links, step navigation)
+  function jumpToStep(step) {
+    if (step === active) return;
+
+    jumping = true;
+    baselineRendered = true;  // the card's scene draws its own chart
+    step.scrollIntoView({ behavior: "instant", block: "center" });
+    activateStep(step);
+    setTimeout(() => { jumping = false; }, 150);  // let the scroll settle first
+  }
+
+  // jump to the card for a scene; false if no card has it
+  function jumpToScene(scene) {
+    const step = stepForScene(scene);
+    if (step) jumpToStep(step);
+    return !!step;
+  }
+
+  // back/forward (and hand-edited hashes) move between scenes. popstate
+  // covers both (a fragment navigation fires it too), so hashchange, which
+  // follows it for the same move, isn't listened to
+  const onHistoryMove = () => {
+    const scene = sceneFromHash();
+    if (scene) jumpToScene(scene);
+  };
+  window.addEventListener("popstate", onHistoryMove);
+
+  /* ---------------------------- step navigation ---------------------------- */
+  // previous/next buttons, arrow-key / PageUp / PageDown shortcuts and a
+  // chapter menu, for driving the story without scrolling (e.g. presenting).
+  // every move goes through activateStep(), like a scroll would.
+
+  const stepMenu = d3.select("#step-menu");
+
+  // short label for a card: its heading, else its first sentence (trimmed to ~60 chars)
+  function stepLabel(step) {
+    const heading = step.querySelector("h3")?.textContent;
+    const text = (heading || step.textContent).replace(/\s+/g, " ").trim();
+    const sentence = heading ? text : text.split(/(?<=[.?!:])\s/)[0];
+    return sentence.length > 60 ? `${sentence.slice(0, 57).trim()}…` : sentence;
+  }
+
+  // menu: one group per chapter (data-title), one entry per card
+  function initStepMenu() {
+    if (stepMenu.empty()) return;
+
+    const chapters = d3.groups(steps.map((step, i) => ({ step, i })),
+                               d => d.step.getAttribute("data-title") || "Story");
+    stepMenu.selectAll("optgroup")
+      .data(chapters)
+      .join("optgroup")
+      .attr("label", ([title]) => title)
+      .selectAll("option")
+      .data(([, items]) => items)
+      .join("option")
+      .attr("value", d => d.i)
+      .text(d => `${d.i + 1}. ${stepLabel(d.step)}`);
+
+    stepMenu.on("change", () => jumpToStep(steps[+stepMenu.property("value")]));
+  }
+
+  // move by delta cards from the active one (from the top when none is active yet)
+  function stepBy(delta) {
+    const from = active ? steps.indexOf(active) : -1;
+    const next = Math.max(0, Math.min(steps.length - 1, from + delta));
+    jumpToStep(steps[next]);
   }
 
+  // keep the menu, counter and button states in step with the active card
+  function updateStepNav() {
+    const i = steps.indexOf(active);
+    stepMenu.property("value", i);
+    d3.select("#step-count").text(`${i + 1} / ${steps.length}`);
+    d3.select("#step-prev").property("disabled", i <= 0);
+    d3.select("#step-next").property("disabled", i >= steps.length - 1);
+  }
+
+  initStepMenu();
+  d3.select("#step-prev").on("click", () => stepBy(-1));
+  d3.select("#step-next").on("click", () => stepBy(1));
+
+  // shortcuts only while the story is on screen, and never while typing
+  // or with the methodology modal open
+  const NEXT_KEYS = new Set(["ArrowDown", "ArrowRight", "PageDown"]);
+  const PREV_KEYS = new Set(["ArrowUp", "ArrowLeft", "PageUp"]);
+
+  document.addEventListener("keydown", (e) => {
+    if (!armed || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (!NEXT_KEYS.has(e.key) && !PREV_KEYS.has(e.key)) return;
+    if (e.target.closest?.("input, select, textarea, [contenteditable]")) return;
+    if (document.querySelector(".methodology-modal.is-open")) return;
+
+    e.preventDefault();  // replaces the native scroll for these keys
+    stepBy(NEXT_KEYS.has(e.key) ? 1 : -1);
+  });
+
   // listen for scroll events: on every scroll, re-check which card is active
   // { passive: true } = performance optimization (we don't call preventDefault)
   window.addEventListener("scroll", setActiveByCenter, { passive: true });
@@ -1208,14 +3600,15 @@ function focusHorror(on) {
   // on window resize, card positions shift—re-check which one should be active
   window.addEventListener("resize", setActiveByCenter);
   
-  // initial check on page load (in case a card is already centered)
-  setActiveByCenter();
+  // initial check on page load: a linked scene (#scene=...) wins, otherwise
+  // whichever card is already centered
+  if (!(sceneFromHash() && jumpToScene(sceneFromHash()))) setActiveByCenter();
 
   /* -------------------------- down-arrow link ----------------------------- */
  //   smooth-scroll on down-arrow click
   document.getElementById("to-graph")?.addEventListener("click", () => {
     const el = document.getElementById("graph");
-    if (el) el.scrollIntoView({ behavior: "smooth", block: "start" });
+    if (el) el.scrollIntoView({ behavior: motion.scrollBehavior(), block: "start" });
   });
 
   /* -------------------------- methodology modal ----------------------------- */
@@ -1234,4 +3627,5 @@ function focusHorror(on) {
   });
 }
 
-main();
\ No newline at end of file
+// scripts load at the end of <body>, so the DOM is already in place
+main();
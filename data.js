@@ -0,0 +1,143 @@
+// data loading layer
+// every CSV the story reads goes through here: files are fetched once, checked
+// for the columns the charts depend on, and rows that can't be used are counted
+// by reason. the results feed the in-chart data panel, so a missing file or
+// column shows up as a message instead of a blank svg.
+
+;(() => {
+  // datasets the page reads, with the columns each chart depends on
+  const DATASETS = {
+    master: {
+      path: "./netflix_omdb_master.csv",
+      label: "Netflix + OMDb dataset",
+      required: ["OMDb_Genre", "Views", "OMDb_imdbRating"]
+    },
+    // previous half-year report, same columns (compared against master in the
+    // Hit Matrix). optional: without the file the comparison is unavailable
+    master_2024h2: {
+      path: "./netflix_omdb_master_2024h2.csv",
+      label: "Netflix + OMDb dataset (Jul–Dec 2024)",
+      required: ["OMDb_Genre", "Views", "OMDb_imdbRating"]
+    },
+    horror: {
+      path: "./horror_categorized_clean_manualfix.csv",
+      label: "Horror fear-category dataset",
+      required: ["Fear_Category", "TMDb_Keywords"]
+    }
+  };
+
+  // cache: dataset name → promise of { rows, report }
+  // (app.js and text.js both read the horror CSV; it is fetched only once)
+  const cache = new Map();
+
+  // build the load report for a dataset
+  // status: "ok" | "error"; rows: number of rows read
+  const makeReport = (def, status, message = "", rows = 0) =>
+    ({ label: def.label, path: def.path, status, message, rows });
+
+  // fetch a dataset and check its schema
+  // never rejects: a failed fetch or missing column resolves to empty rows and an
+  // error report, so callers can keep drawing whatever else they have
+  function loadDataset(name) {
+    if (cache.has(name)) return cache.get(name);
+
+    const def = DATASETS[name];
+    if (!def) return Promise.resolve({ rows: [], report: makeReport({ label: name, path: "" }, "error", "unknown dataset") });
+
+    const request = d3.csv(def.path)
+      .then(rows => {
+        // schema check: every required column must be present in the header
+        const missing = def.required.filter(col => !rows.columns.includes(col));
+        if (missing.length) {
+          const noun = missing.length > 1 ? "columns" : "column";
+          return { rows: [], report: makeReport(def, "error", `missing required ${noun}: ${missing.join(", ")}`) };
+        }
+        if (!rows.length) {
+          return { rows: [], report: makeReport(def, "error", "the file has no data rows") };
+        }
+        return { rows, report: makeReport(def, "ok", "", rows.length) };
+      })
+      // d3.csv rejects on network errors and non-2xx responses (e.g. "404 Not Found")
+      .catch(err => ({ rows: [], report: makeReport(def, "error", `could not be loaded (${err.message})`) }));
+
+    cache.set(name, request);
+    return request;
+  }
+
+  // parse a number that may contain thousands separators ("4,100,000");
+  // blanks and placeholders like "N/A" become null
+  const toNumber = v => {
+    const n = parseFloat(String(v ?? "").replace(/,/g, ""));
+    return Number.isFinite(n) ? n : null;
+  };
+
+  // split rows into usable rows and counts of dropped rows per reason
+  // checks: [{ reason, invalid: row => boolean }], tested in order; a row is
+  // counted under the first check it fails
+  function filterRows(rows, checks) {
+    const kept = [];
+    const counts = new Map();
+
+    rows.forEach(row => {
+      const failed = checks.find(c => c.invalid(row));
+      if (!failed) kept.push(row);
+      else counts.set(failed.reason, (counts.get(failed.reason) || 0) + 1);
+    });
+
+    return {
+      kept,
+      total: rows.length,
+      dropped: Array.from(counts, ([reason, count]) => ({ reason, count }))
+    };
+  }
+
+  // turn a load report into a panel issue (null when the load went fine)
+  function loadIssue(report) {
+    if (report.status === "ok") return null;
+    return {
+      level: "error",
+      title: `${report.label} unavailable`,
+      detail: `${report.path} ${report.message}.`
+    };
+  }
+
+  // turn a filterRows() result into a panel warning (null when nothing was dropped)
+  function droppedIssue(chartName, result) {
+    const droppedTotal = d3.sum(result.dropped, d => d.count);
+    if (!droppedTotal) return null;
+
+    const fmt = d3.format(",");
+    return {
+      level: "warning",
+      title: `${chartName}: ${fmt(droppedTotal)} of ${fmt(result.total)} rows skipped`,
+      detail: result.dropped.map(d => `${fmt(d.count)} ${d.reason}`).join(" · ")
+    };
+  }
+
+  // render issues into the in-chart panel; hides it when there is nothing to say.
+  // errors come first and replace the chart; warnings can be dismissed.
+  function renderDataPanel(panel, issues) {
+    if (!panel) return;
+
+    const list = issues.filter(Boolean)
+      .sort((a, b) => (a.level === "error" ? 0 : 1) - (b.level === "error" ? 0 : 1));
+
+    panel.hidden = list.length === 0;
+    panel.classList.toggle("is-error", list.some(d => d.level === "error"));
+    if (!list.length) { panel.innerHTML = ""; return; }
+
+    panel.innerHTML = list.map(d => `
+      <div class="data-issue ${d.level}">
+        <strong class="data-issue-title">${d.title}</strong>
+        <span class="data-issue-detail">${d.detail}</span>
+      </div>
+    `).join("") + (panel.classList.contains("is-error") ? "" :
+      `<button type="button" class="data-panel-close" aria-label="Dismiss data warnings">×</button>`);
+
+    panel.querySelector(".data-panel-close")
+      ?.addEventListener("click", () => { panel.hidden = true; });
+  }
+
+  // public surface, used by app.js (charts), text.js (keywords) and posters.js
+  window.dataLayer = { DATASETS, loadDataset, toNumber, filterRows, loadIssue, droppedIssue, renderDataPanel };
+})();
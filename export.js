@@ -0,0 +1,183 @@
+// download helpers
+// turns the tables behind the charts (genre aggregates, fear counts, keyword
+// tables) into CSV or JSON files the reader can save, and the chart itself
+// into a standalone SVG or PNG for slides. app.js decides what is on screen;
+// text.js provides the keyword tables.
+
+;(() => {
+  // formats offered for every table: extension, MIME type, serializer
+  // (d3.csvFormat quotes fields with commas, quotes or newlines)
+  const FORMATS = {
+    csv:  { ext: "csv",  type: "text/csv;charset=utf-8",         format: rows => d3.csvFormat(rows) },
+    json: { ext: "json", type: "application/json;charset=utf-8", format: rows => JSON.stringify(rows, null, 2) }
+  };
+
+  // "Sci-Fi & Horror" → "sci-fi-horror" (safe file names)
+  const slug = s => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+  // save a blob as a file through a temporary object URL + <a download>
+  function saveBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);  // after the click has been handled
+  }
+
+  // save text as a file
+  const download = (filename, text, type) => saveBlob(filename, new Blob([text], { type }));
+
+  // download a table (array of flat objects) as <name>.<csv|json>
+  // returns false when there is nothing to save
+  function downloadTable(name, rows, format = "csv") {
+    const def = FORMATS[format];
+    if (!def || !rows || !rows.length) return false;
+    download(`${slug(name)}.${def.ext}`, def.format(rows), def.type);
+    return true;
+  }
+
+  /* ---- chart images ---- */
+
+  // computed style properties inlined on every exported node, so the file
+  // no longer depends on styles.css (color-cat-* fills, dimming, fonts, ...)
+  const STYLE_PROPS = [
+    "display", "visibility", "opacity",
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-dasharray", "stroke-opacity",
+    "font-family", "font-size", "font-style", "font-weight", "letter-spacing",
+    "text-anchor", "dominant-baseline"
+  ];
+
+  // header layout (matches #chart-title / .subtitle in styles.css)
+  const HEADER = {
+    pad: 24,
+    title:    { size: 32, lineHeight: 44, color: "#222", family: "'Libre Baskerville', serif", weight: 600 },
+    subtitle: { size: 16, lineHeight: 24, color: "#444", family: "'Libre Baskerville', serif", weight: 400 },
+    charWidth: 10      // rough px per subtitle character, for wrapping to the svg's width
+  };
+
+  // greedy word wrap by character count (no text measuring in a detached svg)
+  function wrapWords(text, max) {
+    const lines = [];
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+      const last = lines[lines.length - 1];
+      if (last && (last + " " + word).length <= max) lines[lines.length - 1] = last + " " + word;
+      else lines.push(word);
+    });
+    return lines;
+  }
+
+  // clone an svg with computed styles inlined, a background, and the chart
+  // title/subtitle drawn above it. returns { text, width, height }.
+  // fonts are referenced from Google Fonts, which standalone viewers load.
+  // an svg drawn through <img> (the PNG path) can't fetch them, so `fonts:
+  // false` leaves the reference out and it uses the generic serif/sans-serif.
+  function serializeSVG(svgEl, { title = "", subtitle = "", background = "#fbfaf8", fonts = true } = {}) {
+    const ns = "http://www.w3.org/2000/svg";
+    const clone = svgEl.cloneNode(true);
+
+    // walk original + clone in step, copying each node's computed style
+    const originals = [svgEl, ...svgEl.querySelectorAll("*")];
+    const copies = [clone, ...clone.querySelectorAll("*")];
+    originals.forEach((el, i) => {
+      const cs = getComputedStyle(el);
+      copies[i].setAttribute("style", STYLE_PROPS
+        .map(prop => [prop, cs.getPropertyValue(prop)])
+        .filter(([, value]) => value)
+        .map(([prop, value]) => `${prop}:${value}`)
+        .join(";"));
+      copies[i].removeAttribute("class");
+    });
+
+    // chart size from the viewBox ("0 0 1000 720")
+    const [, , width, chartHeight] = (svgEl.getAttribute("viewBox") || "0 0 1000 720").split(/[\s,]+/).map(Number);
+
+    // header lines → height to reserve above the chart
+    const subLines = subtitle ? wrapWords(subtitle, Math.floor(width / HEADER.charWidth)) : [];
+    const headerHeight = HEADER.pad + (title ? HEADER.title.lineHeight : 0) +
+                         subLines.length * HEADER.subtitle.lineHeight + (title || subLines.length ? HEADER.pad : 0);
+    const height = chartHeight + headerHeight;
+
+    // move the chart below the header
+    const body = document.createElementNS(ns, "g");
+    body.setAttribute("transform", `translate(0, ${headerHeight})`);
+    while (clone.firstChild) body.appendChild(clone.firstChild);
+
+    // fonts + background
+    const defs = document.createElementNS(ns, "defs");
+    const fontLink = fonts && document.querySelector('link[href*="fonts.googleapis"]');
+    if (fontLink) {
+      const style = document.createElementNS(ns, "style");
+      style.textContent = `@import url("${fontLink.href}");`;
+      defs.appendChild(style);
+    }
+    const bg = document.createElementNS(ns, "rect");
+    bg.setAttribute("width", width);
+    bg.setAttribute("height", height);
+    bg.setAttribute("fill", background);
+    clone.append(defs, bg);
+
+    // header text
+    let yPos = HEADER.pad;
+    const addLine = (text, def) => {
+      yPos += def.lineHeight;
+      const t = document.createElementNS(ns, "text");
+      t.setAttribute("x", HEADER.pad);
+      t.setAttribute("y", yPos - (def.lineHeight - def.size) / 2);
+      t.setAttribute("style", `font-family:${def.family};font-size:${def.size}px;font-weight:${def.weight};fill:${def.color}`);
+      t.textContent = text;
+      clone.appendChild(t);
+    };
+    if (title) addLine(title, HEADER.title);
+    subLines.forEach(line => addLine(line, HEADER.subtitle));
+
+    clone.appendChild(body);
+    clone.setAttribute("xmlns", ns);
+    clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+    clone.removeAttribute("id");
+
+    return { text: new XMLSerializer().serializeToString(clone), width, height };
+  }
+
+  // save the chart as <name>.svg
+  function downloadSVG(name, svgEl, header) {
+    const { text } = serializeSVG(svgEl, header);
+    download(`${slug(name)}.svg`, text, "image/svg+xml;charset=utf-8");
+  }
+
+  // save the chart as <name>.png, `scale` × the svg's viewBox size
+  // resolves once the file is handed to the browser; rejects if drawing fails
+  // (including a SecurityError from a tainted canvas)
+  function downloadPNG(name, svgEl, header, scale = 2) {
+    const { text, width, height } = serializeSVG(svgEl, { ...header, fonts: false });
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const canvas = document.createElement("canvas");
+          canvas.width = Math.round(width * scale);
+          canvas.height = Math.round(height * scale);
+          const ctx = canvas.getContext("2d");
+          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+          canvas.toBlob(blob => {
+            if (!blob) return reject(new Error("the canvas could not be encoded"));
+            saveBlob(`${slug(name)}.png`, blob);
+            resolve();
+          }, "image/png");
+        } catch (err) {
+          reject(err);
+        }
+      };
+      img.onerror = () => reject(new Error("the svg could not be rasterized"));
+      img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(text);
+    });
+  }
+
+  // public surface, used by app.js (chart tables, image exports, export controls)
+  window.dataExport = { FORMATS, slug, download, downloadTable, serializeSVG, downloadSVG, downloadPNG };
+})();
@@ -0,0 +1,54 @@
+// motion policy
+// every animated scene change asks here how long to take. when the reader's
+// system requests reduced motion (prefers-reduced-motion) or the "Animations"
+// toggle is off, durations collapse to 0 and each scene jumps straight to its
+// end state. app.js routes its transitions and the follow-ups that wait for
+// them through this module; styles.css drops CSS transitions and smooth
+// scrolling under the .reduce-motion class set here.
+
+;(() => {
+  const query = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+  const STORAGE_KEY = "horror-hit:animations";  // "off" when the reader switched animations off
+
+  // localStorage can throw (privacy modes, file://); the toggle then lasts for the visit only
+  const readToggle = () => { try { return localStorage.getItem(STORAGE_KEY) !== "off"; } catch { return true; } };
+  const writeToggle = on => { try { localStorage.setItem(STORAGE_KEY, on ? "on" : "off"); } catch { /* session only */ } };
+
+  let animationsOn = readToggle();
+  const listeners = [];
+
+  const systemReduced = () => !!query?.matches;
+  const reduced = () => systemReduced() || !animationsOn;
+
+  // keep the root class in sync and tell listeners (e.g. the toggle) about it
+  function apply() {
+    document.documentElement.classList.toggle("reduce-motion", reduced());
+    listeners.forEach(fn => fn(reduced()));
+  }
+
+  // transition length: `ms`, or 0 when motion is reduced
+  const duration = ms => reduced() ? 0 : ms;
+
+  // run `fn` once an animation of `ms` would have finished.
+  // uses d3's timer queue, so with reduced motion it still runs after the
+  // (zero-length) transitions scheduled before it have applied their end state
+  const after = (ms, fn) => d3.timeout(fn, duration(ms));
+
+  // behavior for scrollIntoView
+  const scrollBehavior = () => reduced() ? "auto" : "smooth";
+
+  // site toggle (the system setting always wins)
+  function setAnimations(on) {
+    animationsOn = !!on;
+    writeToggle(animationsOn);
+    apply();
+  }
+
+  const onChange = fn => { listeners.push(fn); fn(reduced()); };
+
+  query?.addEventListener?.("change", apply);
+  apply();
+
+  // public surface, used by app.js (transitions, follow-ups, the Animations toggle)
+  window.motion = { reduced, systemReduced, animationsOn: () => animationsOn, duration, after, scrollBehavior, setAnimations, onChange };
+})();
@@ -0,0 +1,184 @@
+// poster grids
+// fills every .movie-posters-section from the CSVs instead of hand-written
+// markup, so titles, posters, views and ratings follow the data. each section
+// says what it shows through data attributes:
+//
+//   data-dataset    : dataset to read (see DATASETS in data.js), default "master"
+//   data-rank       : "views" | "rating" — top titles by Views or OMDb_imdbRating
+//   data-count      : how many titles to show (default 3)
+//   data-supergroup : supergroup id from taxonomy.js — instead of a ranking,
+//                     one poster per fear category: its most-viewed title
+//   data-fields     : info lines under each poster, in order, from
+//                     "genre views rating category" (default "genre views rating")
+//
+// poster images come from the local cache in assets/ when it has the title
+// (assets/posters.json, OMDb_imdbID → file, built by scripts/cache_posters.py),
+// otherwise from the OMDb_Poster URL. a missing or broken image becomes a
+// title card with the name, year and fear category, so the story also works
+// offline. app.js uses the same lookup for its tooltip thumbnails.
+
+;(() => {
+  const CACHE_PATH = "./assets/posters.json";
+
+  // OMDb_imdbID → path of the cached file; empty until the manifest loads,
+  // and stays empty without one (every poster then comes from OMDb).
+  // `ready` resolves to a load report like data.js's, for app.js's data panel
+  let cache = new Map();
+  const report = (status, message = "") => ({ label: "Poster cache", path: CACHE_PATH, status, message });
+  const ready = d3.json(CACHE_PATH)
+    .then(manifest => {
+      cache = new Map(Object.entries(manifest || {}).map(([id, file]) => [id, `./assets/${file}`]));
+      return report("ok");
+    })
+    .catch(err => report("error", `could not be loaded (${err.message}); posters come from OMDb links`));
+
+  // image source for a title: cached copy, else the OMDb link, else null
+  const src = (id, remote) => cache.get(id) || (remote && remote !== "N/A" ? remote : null);
+
+  // stand-in for a poster: name, year and fear category (or genre) on a card
+  // the size of a poster, announced to screen readers like the image it replaces
+  function titleCard({ title, year, category, genre }) {
+    const card = document.createElement("div");
+    card.className = "poster-card";
+    card.setAttribute("role", "img");
+    card.setAttribute("aria-label", `${title} poster`);
+
+    // unclassified titles (or rows like "Parsing Failed") show their first genre
+    const subtitle = fearTaxonomy.groupMap.has(category) ? fearTaxonomy.displayName(category) : genre.split(",")[0];
+    [["poster-card-title", title], ["poster-card-year", year ?? ""], ["poster-card-category", subtitle]]
+      .filter(([, text]) => text)
+      .forEach(([className, text]) => {
+        const line = document.createElement("span");
+        line.className = className;
+        line.textContent = text;
+        card.appendChild(line);
+      });
+    return card;
+  }
+
+  const toNumber = dataLayer.toNumber;
+
+  // "164700000" → "164.7M", "300000" → "300K"
+  const formatViews = v => d3.format(".4~s")(v).replace("k", "K").replace("G", "B");
+
+  // csv row → the fields a poster needs (same title rule as the chart tooltips)
+  // fear categories come from the horror dataset, so titles read from master
+  // get one too when the horror dataset has classified them
+  function toMovie(row, fearById) {
+    const title = (row.EnglishTitle || row.Title || "").trim();
+    const year = toNumber(row.OMDb_Year);
+    return {
+      id       : row.OMDb_imdbID || title,
+      title,
+      year     : year != null ? Math.round(year) : null,
+      poster   : src(row.OMDb_imdbID, row.OMDb_Poster),
+      genre    : row.OMDb_Genre && row.OMDb_Genre !== "N/A" ? row.OMDb_Genre : "",
+      views    : toNumber(row.Views),
+      rating   : toNumber(row.OMDb_imdbRating),
+      category : row.Fear_Category?.trim() || fearById.get(row.OMDb_imdbID) || ""
+    };
+  }
+
+  // the same title can appear in more than one row; keep its first occurrence
+  const uniqueById = movies => {
+    const seen = new Set();
+    return movies.filter(m => !seen.has(m.id) && seen.add(m.id));
+  };
+
+  // rankings a section can ask for: which titles qualify and how they sort
+  // (ties on rating go to the more-watched title)
+  const RANKINGS = {
+    views:  { valid: m => m.views != null,                     order: (a, b) => d3.descending(a.views, b.views) },
+    rating: { valid: m => m.rating != null && m.views != null, order: (a, b) => d3.descending(a.rating, b.rating) || d3.descending(a.views, b.views) }
+  };
+
+  // info lines under a poster
+  const FIELDS = {
+    genre:    { className: "movie-genre",           text: m => m.genre },
+    views:    { className: "movie-views",           text: m => m.views != null ? `${formatViews(m.views)} views` : "" },
+    rating:   { className: "movie-rating",          text: m => m.rating != null ? `IMDb: ${m.rating.toFixed(1)}/10` : "" },
+    category: { className: "poster-category-label", text: m => fearTaxonomy.displayName(m.category) }
+  };
+
+  // pick the titles a section shows, per its data attributes
+  function selectMovies(movies, { rank = "views", count = "3", supergroup }) {
+    if (supergroup) {
+      const group = fearTaxonomy.supergroupById(supergroup);
+      if (!group) {
+        console.warn(`Posters: unknown supergroup "${supergroup}"`);
+        return [];
+      }
+      // most-viewed title of each category, in taxonomy order
+      return group.categories
+        .map(c => d3.greatest(movies.filter(m => m.category === c.name && m.views != null), m => m.views))
+        .filter(Boolean);
+    }
+
+    const ranking = RANKINGS[rank] || RANKINGS.views;
+    return movies.filter(ranking.valid).sort(ranking.order).slice(0, +count || 3);
+  }
+
+  // render one section's grid
+  function renderGrid(grid, movies, fields) {
+    const items = d3.select(grid).selectAll(".movie-poster-item")
+      .data(movies, d => d.id)
+      .join("div")
+        .attr("class", "movie-poster-item")
+        .html("");
+
+    // a broken link (blocked host, moved file) swaps itself for the title card
+    items.filter(d => d.poster).append("img")
+      .attr("class", "poster-img")
+      .attr("src", d => d.poster)
+      .attr("alt", d => `${d.title} poster`)
+      .on("error", function (_, d) { this.replaceWith(titleCard(d)); });
+    items.filter(d => !d.poster).append(d => titleCard(d));
+
+    const info = items.append("div").attr("class", "movie-poster-info");
+    info.append("div").attr("class", "movie-title").text(d => d.title);
+    fields.forEach(key => {
+      const field = FIELDS[key];
+      if (!field) return;
+      info.append("div").attr("class", field.className).text(field.text);
+    });
+  }
+
+  // message in place of the grid (loading failed, nothing matched)
+  const showMessage = (grid, text) => {
+    grid.innerHTML = "";
+    d3.select(grid).append("span").attr("class", "posters-message").text(text);
+  };
+
+  // OMDb_imdbID → Fear_Category (empty when the horror dataset is unavailable)
+  const fearCategories = dataLayer.loadDataset("horror").then(({ rows }) =>
+    new Map(rows.filter(d => d.OMDb_imdbID && d.Fear_Category?.trim()).map(d => [d.OMDb_imdbID, d.Fear_Category.trim()])));
+
+  async function renderSection(section) {
+    const grid = section.querySelector(".posters-grid");
+    if (!grid) return;
+
+    const opts = section.dataset;
+    const { rows, report } = await dataLayer.loadDataset(opts.dataset || "master");
+    if (report.status !== "ok") {
+      console.warn(`Posters unavailable: ${report.path} ${report.message}`);
+      showMessage(grid, `Posters unavailable: ${report.message}`);
+      return;
+    }
+
+    await ready;
+    const fearById = await fearCategories;
+    const movies = selectMovies(uniqueById(rows.map(row => toMovie(row, fearById))), opts);
+    if (!movies.length) {
+      showMessage(grid, "No titles to show");
+      return;
+    }
+
+    const fields = (opts.fields || (opts.supergroup ? "category" : "genre views rating")).split(/\s+/).filter(Boolean);
+    renderGrid(grid, movies, fields);
+  }
+
+  document.querySelectorAll(".movie-posters-section").forEach(renderSection);
+
+  // public surface, used by app.js (tooltip thumbnails, data panel)
+  window.posters = { ready, src, titleCard };
+})();
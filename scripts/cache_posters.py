@@ -0,0 +1,86 @@
+"""Build the local poster cache used by posters.js.
+
+Downloads the OMDb_Poster image of every title in the story's CSVs into
+assets/posters/<imdbID>.jpg and records it in assets/posters.json
+(OMDb_imdbID -> path relative to assets/). The page prefers these copies
+over the m.media-amazon.com links, so it keeps its posters offline.
+
+Run from the repository root (standard library only):
+
+    python scripts/cache_posters.py
+
+Files that are already cached are skipped, and entries already in the
+manifest are kept, including hand-added ones for titles whose OMDb link is
+missing or broken (e.g. "tt8248814": "night_silence.jpg").
+"""
+
+import csv
+import json
+import sys
+import time
+import urllib.request
+from pathlib import Path
+
+ROOT = Path(__file__).resolve().parent.parent
+ASSETS = ROOT / "assets"
+POSTERS = ASSETS / "posters"
+MANIFEST = ASSETS / "posters.json"
+
+# the CSVs posters.js reads (see DATASETS in data.js); missing files are skipped
+DATASETS = [
+    "netflix_omdb_master.csv",
+    "netflix_omdb_master_2024h2.csv",
+    "horror_categorized_clean_manualfix.csv",
+]
+
+DELAY = 0.2  # seconds between downloads, to go easy on the image host
+
+
+def poster_urls():
+    """OMDb_imdbID -> OMDb_Poster for every title that has both."""
+    urls = {}
+    for name in DATASETS:
+        path = ROOT / name
+        if not path.exists():
+            print(f"skipping {name} (not found)")
+            continue
+        with path.open(newline="", encoding="utf-8") as f:
+            for row in csv.DictReader(f):
+                imdb_id = (row.get("OMDb_imdbID") or "").strip()
+                url = (row.get("OMDb_Poster") or "").strip()
+                if imdb_id and url.startswith("http"):
+                    urls.setdefault(imdb_id, url)
+    return urls
+
+
+def download(url, dest):
+    request = urllib.request.Request(url, headers={"User-Agent": "anatomy-of-a-horror-hit poster cache"})
+    with urllib.request.urlopen(request, timeout=20) as response:
+        dest.write_bytes(response.read())
+
+
+def main():
+    manifest = json.loads(MANIFEST.read_text()) if MANIFEST.exists() else {}
+    POSTERS.mkdir(parents=True, exist_ok=True)
+
+    urls = poster_urls()
+    failed = 0
+    for imdb_id, url in sorted(urls.items()):
+        if imdb_id in manifest and (ASSETS / manifest[imdb_id]).exists():
+            continue
+        dest = POSTERS / f"{imdb_id}.jpg"
+        try:
+            if not dest.exists():
+                download(url, dest)
+                time.sleep(DELAY)
+            manifest[imdb_id] = dest.relative_to(ASSETS).as_posix()
+        except OSError as err:
+            failed += 1
+            print(f"{imdb_id}: {url} failed ({err})", file=sys.stderr)
+
+    MANIFEST.write_text(json.dumps(dict(sorted(manifest.items())), indent=2) + "\n")
+    print(f"{len(manifest)} posters cached, {failed} failed (those fall back to title cards)")
+
+
+if __name__ == "__main__":
+    main()
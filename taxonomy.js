@@ -0,0 +1,120 @@
+// fear taxonomy
+// single source of truth for the fear categories, their display names,
+// descriptions, and the supergroups they belong to. read by app.js (bars,
+// tooltips, supergroup focus scenes) and text.js (keyword panels), so adding,
+// renaming, or regrouping a fear here updates all of them together.
+//
+// each supergroup has:
+//   id         : slug used by the story wiring — scene "bars_<id>" focuses the
+//                group's bars, and element "#<id>-keywords" gets its keywords
+//   name       : display name (also the key used in tooltips and exports)
+//   categories : fear categories in the group
+// each category has:
+//   name        : the exact value of Fear_Category in the CSV
+//   display     : shorter label for the frontend (defaults to name)
+//   description : one-sentence definition shown in bar tooltips
+
+;(() => {
+  const SUPERGROUPS = [
+    {
+      id: "societal",
+      name: "Societal & Structural Horrors",
+      categories: [
+        {
+          name: "Invasion, Impostors & Paranoia",
+          description: "Fear of being replaced, infiltrated, or observed by hidden others — doubles, aliens, or unseen conspirators disrupting normal life."
+        },
+        {
+          name: "Persecution & Social Breakdown",
+          description: "Fear of mob violence, cult domination, or the collapse of moral order — when collective madness replaces reason and safety."
+        },
+        {
+          name: "Institutional & Structural Control",
+          description: "Fear of domination by organized systems — governments, corporations, cults, or algorithms that erase autonomy and identity."
+        }
+      ]
+    },
+    {
+      id: "body",
+      name: "The Body as Battleground",
+      categories: [
+        {
+          name: "Captivity & Voyeuristic Sadism",
+          description: "Fear of imprisonment, coercion, and deliberate human cruelty — torture or sadistic games that turn pain into spectacle."
+        },
+        {
+          name: "Contagion & Mutation",
+          description: "Fear of infection or involuntary biological transformation — viruses, parasites, or spreading contamination altering the body."
+        },
+        {
+          name: "Body Horror / Envelope Violation",  // data name (in CSV)
+          display: "Body Horror",
+          description: "Fear of bodily invasion, forced metamorphosis, or dismemberment — the body manipulated or remade beyond recognition."
+        }
+      ]
+    },
+    {
+      id: "psychological",
+      name: "Psychological & Domestic Horrors",
+      categories: [
+        {
+          name: "Possession & Loss of Agency",
+          description: "Fear of losing control of one's mind or body to supernatural or psychological forces — demonic, psychic, or manipulative influence."
+        },
+        {
+          name: "Isolation & Psychological Unraveling",
+          description: "Fear that solitude itself becomes the menace — prolonged isolation leading to paranoia, madness, and collapse of meaning."
+        },
+        {
+          name: "Grief & Familial Trauma",
+          description: "Fear rooted in loss, inheritance, or haunted familial bonds — when family, grief, or lineage becomes the source of horror."
+        }
+      ]
+    },
+    {
+      id: "cosmic",
+      name: "Cosmic & Moral Reckonings",
+      categories: [
+        {
+          name: "Ecological / Natural Menace",
+          description: "Fear of nature turning hostile — animals, weather, or landscapes striking back against human control and exploitation."
+        },
+        {
+          name: "Transgression & Moral Punishment",
+          description: "Fear of violating sacred or moral boundaries and suffering retribution — curses, pacts, or divine punishment for human sin."
+        }
+      ]
+    }
+  ];
+
+  // flat list of categories, each tagged with its supergroup
+  const CATEGORIES = SUPERGROUPS.flatMap(group =>
+    group.categories.map(c => ({ ...c, display: c.display || c.name, supergroup: group.name }))
+  );
+
+  // lookups derived from the definitions above
+  const byName = new Map(CATEGORIES.map(c => [c.name, c]));
+
+  window.fearTaxonomy = {
+    SUPERGROUPS,
+    CATEGORIES,
+
+    // canonical category names, as they appear in Fear_Category
+    categoryNames: CATEGORIES.map(c => c.name),
+
+    // category name → supergroup name
+    groupMap: new Map(CATEGORIES.map(c => [c.name, c.supergroup])),
+
+    // supergroup name → [category names]
+    groupCategories: Object.fromEntries(SUPERGROUPS.map(g => [g.name, g.categories.map(c => c.name)])),
+
+    // data name → shorter display name (unknown names pass through)
+    displayName: name => byName.get(name)?.display || name,
+
+    // data name → tooltip description ("" when unknown)
+    description: name => byName.get(name)?.description || "",
+
+    // supergroup by its id slug (e.g. "body" → The Body as Battleground)
+    supergroupById: id => SUPERGROUPS.find(g => g.id === id) || null
+  };
+})();
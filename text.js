@@ -8,7 +8,15 @@ window.keywordData = null;
 // immediately invoked async function: load CSV and process keywords
 ;(async () => {
   // load the manually-categorized horror dataset (each row = one movie + its fear category)
-  const data = await d3.csv('horror_categorized_clean_manualfix.csv');
+  // through the shared data layer, which also checks the Fear_Category / TMDb_Keywords columns
+  const { rows: data, report } = await dataLayer.loadDataset('horror');
+
+  // failed load or missing columns: say so in every keyword container instead of "Loading..."
+  if (report.status !== 'ok') {
+    console.warn(`Keywords unavailable: ${report.path} ${report.message}`);
+    populateKeywords(`Keywords unavailable: ${report.message}`);
+    return;
+  }
 
   // normalize: lowercase, trim, collapse whitespace, strip quotes
   // ensures "Survival Horror" and "survival  horror" are treated as the same keyword
@@ -55,10 +63,15 @@ window.keywordData = null;
 
   // explode: convert each movie row into multiple {category, keyword} pairs
   // (one movie can have multiple keywords, so we flatten them all)
-  const catKwPairs = data.flatMap(d => {
-    const cat = d.Fear_Category?.trim();
+  // rows with no category or no keywords can't contribute
+  const { kept } = dataLayer.filterRows(data, [
+    { reason: 'with no fear category', invalid: d => !d.Fear_Category?.trim() },
+    { reason: 'with no keywords', invalid: d => !d.TMDb_Keywords }
+  ]);
+
+  const catKwPairs = kept.flatMap(d => {
+    const cat = d.Fear_Category.trim();
     const raw = d.TMDb_Keywords;
-    if (!cat || !raw) return [];  // skip rows with missing data
 
     // split comma-separated keyword string, normalize each one
     const kws = raw.split(',')
@@ -89,24 +102,9 @@ window.keywordData = null;
     return { category, top_keywords: top }; // [ [keyword, count], ... ]
   });
 
-  // define supergroup mappings: which fear categories belong to which thematic family
-  const supergroups = {
-    'Societal & Structural Horrors': [
-      'Invasion, Impostors & Paranoia',
-      'Persecution & Social Breakdown',
-      'Institutional & Structural Control'
-    ],
-    'Psychological & Domestic Horrors': [
-      'Possession & Loss of Agency',
-      'Isolation & Psychological Unraveling',
-      'Grief & Familial Trauma'
-    ],
-    'The Body as Battleground': [
-      'Captivity & Voyeuristic Sadism',
-      'Contagion & Mutation',
-      'Body Horror / Envelope Violation'
-    ]
-  };
+  // supergroup mappings: which fear categories belong to which thematic family
+  // (shared with the bar charts via taxonomy.js)
+  const supergroups = fearTaxonomy.groupCategories;
 
   // aggregate keywords by supergroup (across all categories within each family)
   const supergroupKeywords = {};
@@ -165,25 +163,44 @@ window.getTopKeywords = (categoryName, limit = 10) => {
   return categoryData ? categoryData.top_keywords.slice(0, limit) : [];
 };
 
+// flat keyword tables for download (app.js export controls): one row per
+// keyword, for the overall top 10, each supergroup and each fear category
+window.keywordTable = () => {
+  const rank = (scope, group) => ([keyword, count], i) => ({ scope, group, rank: i + 1, keyword, count });
+  return [
+    ...(window.top10Keywords || []).map(rank('overall', 'All horror')),
+    ...Object.entries(window.supergroupKeywords || {})
+      .flatMap(([name, keywords]) => keywords.map(rank('supergroup', name))),
+    ...(window.keywordData || [])
+      .flatMap(({ category, top_keywords }) => top_keywords.map(rank('category', category)))
+  ];
+};
+
 // render keywords into HTML: populate all keyword containers in the page
 // handles both supergroup-aggregated keywords and overall top 10
-function populateKeywords() {
+// errorMessage (optional): shown in every container instead of keywords
+function populateKeywords(errorMessage = null) {
   // map each HTML container ID to its data source (overall or supergroup)
+  // supergroup containers follow the taxonomy ids: "<id>-keywords"
   const containerMapping = [
     { id: 'overall-keywords', type: 'overall' },
-    { id: 'societal-keywords', type: 'supergroup', name: 'Societal & Structural Horrors' },
-    { id: 'psychological-keywords', type: 'supergroup', name: 'Psychological & Domestic Horrors' },
-    { id: 'body-keywords', type: 'supergroup', name: 'The Body as Battleground' }
+    ...fearTaxonomy.SUPERGROUPS.map(g => ({ id: `${g.id}-keywords`, type: 'supergroup', name: g.name }))
   ];
   
   // process each container: fetch keywords and render tags
+  // (not every supergroup has a keyword panel in the story, so those are skipped quietly)
   containerMapping.forEach(({ id, type, name }) => {
     const container = document.getElementById(id);
     if (!container) {
-      console.warn(`Container not found: ${id}`);
+      if (type === 'overall') console.warn(`Container not found: ${id}`);
       return;
     }
     
+    if (errorMessage) {
+      container.innerHTML = `<span class="keyword-loading">${errorMessage}</span>`;
+      return;
+    }
+
     let keywords = [];
     
     if (type === 'overall') {